@@ -1,7 +1,18 @@
 import { Elysia, sse } from 'elysia'
 import { cors } from '@elysiajs/cors'
-import { Scraper } from "../src/scraper.js"
+import { Scraper, ScrapeMethod } from "../src/scraper.js"
+import { Job, ContentType, getCapabilities, getProcessJob } from "../src/capabilities.js"
+import { Connectors, BUILTIN_CONNECTORS, describeConnector } from "../src/driver.js"
+import { getConnectorLoader } from "../src/loader.js"
+import { parseSearchFilters } from "../src/filters.js"
+import { getSortOrder } from "../src/ranking.js"
+import { getLibrary } from "../src/library.js"
+import { Scheduler, parseInterval } from "../src/scheduler.js"
+import { getWebhooks, WebhookEvent } from "../src/webhooks.js"
+import { getMetadataCache } from "../src/cache.js"
+import { HealthMonitor, HealthStatus } from "../src/health.js"
 import { ContextMode } from "../src/navigation.js"
+import { Book } from '../src/models/book.js'
 import log from '../src/log.js'
 
 const DEFAULT_OPTIONS = {
@@ -11,6 +22,85 @@ const DEFAULT_OPTIONS = {
 
 let globalExecution = Scraper.withOptions(DEFAULT_OPTIONS)
 
+// Register plugin connectors before serving requests
+const connectorLoader = getConnectorLoader()
+await connectorLoader.load()
+
+const library = await getLibrary()
+
+// Process options a library series keeps for its downloads
+const LIBRARY_OPTIONS = ['outputPath', 'format', 'group', 'enrich', 'fileFormat']
+const pickLibraryOptions = (params) => Object.fromEntries(
+    LIBRARY_OPTIONS.filter(key => params[key] !== undefined).map(key => [key, params[key]])
+)
+
+// New-chapter check settings of a series: interval ("6h", "default" to use the connector's) and download
+const pickSchedule = (params) => {
+    const schedule = {}
+    if (params.interval !== undefined) {
+        schedule.interval = params.interval === 'default' ? null : params.interval
+        if (schedule.interval !== null) parseInterval(schedule.interval)
+    }
+    if (params.download !== undefined) schedule.download = params.download === true || params.download === 'true'
+    return schedule
+}
+
+const webhooks = await getWebhooks()
+
+// job.finished / job.failed payload from process() results (counts, not the page lists)
+const jobPayload = (context, results) => ({
+    ...context,
+    chapters: results.length,
+    downloaded: results.filter(result => !result.error && !result.failures?.length).length,
+    failed: results.filter(result => result.error || result.failures?.length).length
+})
+
+// Scheduler events to webhooks
+const onSchedulerEvent = ({ event, series, ...data }) => {
+    const context = { source: 'scheduler', url: series.url, series: { id: series.id, title: series.title, connector: series.connector } }
+    switch (event) {
+        case 'chapters':
+            webhooks.emit(WebhookEvent.NEW_CHAPTERS, { ...context, chapters: data.chapters })
+            break
+        case 'item':
+            webhooks.fromItems(context)(data.item)
+            break
+        case 'download':
+            if (data.error) webhooks.emit(WebhookEvent.JOB_FAILED, { ...context, error: data.error })
+            else webhooks.emit(WebhookEvent.JOB_FINISHED, jobPayload(context, data.results))
+            break
+    }
+}
+
+// Canary runs per connector, scheduled every HEALTH_CHECK_INTERVAL when it is set
+const health = new HealthMonitor({
+    getExecution: () => globalExecution,
+    onReport: report => {
+        if (report.status === HealthStatus.OK) return
+        const { connector, status, regressions, empty, error, at } = report
+        webhooks.emit(WebhookEvent.CONNECTOR_UNHEALTHY, { connector, status, regressions, empty, error, at })
+    }
+})
+await health.load()
+health.start()
+
+// Checks followed series for new chapters, SCHEDULER=false turns it off
+const scheduler = new Scheduler(library, { getExecution: () => globalExecution, onEvent: onSchedulerEvent })
+if (process.env.SCHEDULER !== 'false') await scheduler.start()
+
+function describeConnectors() {
+    return Object.keys(Connectors).map(id => {
+        const connector = describeConnector(id)
+        return {
+            id,
+            source: BUILTIN_CONNECTORS.includes(id) ? 'builtin' : 'plugin',
+            file: connectorLoader.plugins.get(id)?.file || null,
+            endpoint: connector.ENDPOINT_URL,
+            capabilities: getCapabilities(connector)
+        }
+    })
+}
+
 function createAsyncQueue() {
     const buffer = []
     let resolver = null
@@ -93,6 +183,45 @@ const app = new Elysia()
         }
     })
 
+    // Latest health check of every connector
+    .get('/health/connectors', () => {
+        return {
+            success: true,
+            connectors: health.getLatest()
+        }
+    })
+
+    .get('/health/connectors/:id', ({ params: { id } }) => {
+        return {
+            success: true,
+            history: health.getHistory(id)
+        }
+    })
+
+    // Check every connector now, waits for the reports
+    .post('/health/connectors/run', async () => {
+        return {
+            success: true,
+            reports: await health.run()
+        }
+    })
+
+    // Check a connector now (query / url replace its canary search and detail page)
+    .post('/health/connectors/:id/check', async ({ params: { id }, query: { query, url }, set }) => {
+        try {
+            return {
+                success: true,
+                report: await health.check(id, { query, url })
+            }
+        } catch (error) {
+            set.status = 400
+            return {
+                success: false,
+                error: error.message
+            }
+        }
+    })
+
     .get('/setup/:concurrency', async ({ params: { concurrency }, query, set }) => {
         concurrency = parseInt(concurrency)
         if (isNaN(concurrency) || concurrency < 1) {
@@ -152,8 +281,58 @@ const app = new Elysia()
         }
     })
 
+    .get('/connectors', () => {
+        const { dir, failed } = connectorLoader.getStatus()
+        return {
+            success: true,
+            pluginsDir: dir,
+            connectors: describeConnectors(),
+            failed
+        }
+    })
+
+    .post('/connectors/reload', async ({ set }) => {
+        try {
+            const previous = [...connectorLoader.plugins.keys()]
+            const { loaded, failed, removed } = await connectorLoader.reload()
+
+            // Drivers built from the old plugin modules are dropped, they are rebuilt on next use
+            // Busy ones keep the old module until a reload with their jobs done
+            const busy = []
+            if (globalExecution.drivers) {
+                for (const id of previous) {
+                    if (globalExecution.isBusy(id)) {
+                        busy.push(id)
+                        continue
+                    }
+                    await globalExecution.drivers.removeDriver(id)
+                }
+            }
+            if (busy.length) log.warn('Busy connector drivers kept', { connectors: busy })
+
+            return {
+                success: true,
+                loaded: loaded.map(plugin => plugin.id),
+                removed,
+                busy,
+                failed,
+                connectors: describeConnectors()
+            }
+        } catch (error) {
+            log.error('Connector reload failed', error)
+            set.status = 500
+            return {
+                success: false,
+                error: `Connector reload failed: ${error.message}`
+            }
+        }
+    })
+
     .get('/search/:title', async ({ params: { title }, query, set }) => {
-        const { connector = '*', sequential = 'false', deep = 'true' } = query
+        const { connector = '*', sequential = 'false', deep = 'true', enrich, language, contentType, merge = 'false' } = query
+        const maxPages = query.maxPages ? parseInt(query.maxPages) : null
+        const maxResults = query.maxResults ? parseInt(query.maxResults) : null
+        const { genres, excludeGenres, status, type, yearFrom, yearTo, sort = 'relevance', popularity = 'false', fresh = 'false' } = query
         const queue = createAsyncQueue()
 
         if (!title) {
@@ -168,6 +347,36 @@ const app = new Elysia()
             return sse(streamQueue(queue, 'search'))
         }
 
+        if ([maxPages, maxResults].some(value => value !== null && (isNaN(value) || value < 1))) {
+            queue.push({
+                event: 'error',
+                data: {
+                    success: false,
+                    error: 'Invalid maxPages / maxResults value'
+                }
+            })
+            queue.close()
+            return sse(streamQueue(queue, 'search'))
+        }
+
+        // Refuse connectors that can't search before any browser work
+        try {
+            globalExecution.getConnectorIds(connector, Job.SEARCH, { language, contentType })
+            parseSearchFilters({ genres, excludeGenres, status, type, yearFrom, yearTo, language })
+            getSortOrder(sort)
+            if (deep === 'true') globalExecution.resolveEnrichers(enrich)
+        } catch (error) {
+            queue.push({
+                event: 'error',
+                data: {
+                    success: false,
+                    error: error.message
+                }
+            })
+            queue.close()
+            return sse(streamQueue(queue, 'search'))
+        }
+
         const jobExecution = globalExecution.copy()
         jobExecution.opt.onItem = item => {
             queue.push(item)
@@ -181,9 +390,29 @@ const app = new Elysia()
                     connector,
                     { 
                         sequential: sequential === 'true', 
-                        deep: deep === 'true' 
+                        deep: deep === 'true',
+                        enrich,
+                        language,
+                        contentType,
+                        merge: merge === 'true',
+                        maxPages,
+                        maxResults,
+                        genres,
+                        excludeGenres,
+                        status,
+                        type,
+                        yearFrom,
+                        yearTo,
+                        sort,
+                        popularity: popularity === 'true',
+                        fresh: fresh === 'true'
                     }
                 )
+                // Items streamed as they arrived, the ranked view closes the stream
+                queue.push({
+                    event: 'message',
+                    data: { sort, results }
+                })
                 const totalResults = results.reduce(
                     (sum, r) => sum + (r.count || 0),
                     0
@@ -213,7 +442,7 @@ const app = new Elysia()
     })
 
     .get('/book', async ({ query, set }) => {
-        const { url, connector } = query
+        const { url, connector, enrich, fresh = 'false' } = query
         if (!url || !connector) {
             set.status = 400
             return {
@@ -221,38 +450,26 @@ const app = new Elysia()
                 error: 'Missing required parameters: url, connector'
             }
         }
+        let enrichers
+        try {
+            globalExecution.assertConnector(connector, Job.DETAILS)
+            enrichers = globalExecution.resolveEnrichers(enrich)
+        } catch (error) {
+            set.status = 400
+            return {
+                success: false,
+                error: error.message
+            }
+        }
         try {
             log.info('Fetching book details', { url, connector })
-            if (!globalExecution.isValid()) {
-                await globalExecution.withDrivers([[connector, 'chromium', null]])
-            }
-            const fields = [
-                'title',
-                'alternative_titles',
-                'banner',
-                'author',
-                'artist',
-                'genres',
-                'status',
-                'year',
-                'plot'
-            ]
-            const bookData = await globalExecution.drivers.exec(connector, async (driver) => {
-                await driver.page.goto(url, {
-                    waitUntil: 'domcontentloaded',
-                    timeout: 30000
-                })
-                const data = { url }
-                for (const field of fields) {
-                    try {
-                        data[field] = await driver.getEntryField(field)
-                    } catch (error) {
-                        log.debug(`Could not get field ${field}`, { error: error.message })
-                        data[field] = null
-                    }
-                }
-                return data
-            })
+            const connectorIds = [connector, ...enrichers]
+            if (!globalExecution.isValid() || !connectorIds.every(id => globalExecution.drivers.hasDriver(id))) {
+                await globalExecution.withDrivers(connectorIds.map(id => [id, 'chromium', null]))
+            }
+            // Cached unless fresh=true (see cache.js)
+            const bookData = await globalExecution.getBook(url, connector, { fresh: fresh === 'true' })
+            await globalExecution.enrich(bookData, enrichers)
             log.success('Book details fetched', { url })
             return {
                 success: true,
@@ -273,8 +490,18 @@ const app = new Elysia()
             url,
             connector,
             title,
+            method = 'default',
             mode = 'parallel',
-            concurrency
+            concurrency,
+            resume = 'true',
+            chapters,
+            volumes,
+            latest,
+            since,
+            format,
+            group,
+            enrich,
+            fileFormat
         } = query
         const queue = createAsyncQueue()
         if (!url) {
@@ -301,15 +528,36 @@ const app = new Elysia()
             return sse(streamQueue(queue, 'process'))
         }
 
+        // Refuse connectors that can't process before any browser work
+        let isBook = false
+        const processConnectorId = connector || globalExecution.detectConnector(url)
+        try {
+            const processConnector = describeConnector(processConnectorId)
+            globalExecution.assertConnector(
+                processConnectorId,
+                getProcessJob(processConnector, method === ScrapeMethod.BRUTE)
+            )
+            isBook = getCapabilities(processConnector).contentType === ContentType.BOOK
+        } catch (error) {
+            queue.push({
+                event: 'error',
+                data: {
+                    success: false,
+                    error: error.message
+                }
+            })
+            queue.close()
+            return sse(streamQueue(queue, 'process'))
+        }
+
         const jobExecution = globalExecution.copy()
-        jobExecution.opt.onItem = item => {
+        jobExecution.opt.onItem = webhooks.fromItems({ source: 'process', url }, item => {
             queue.push(item)
-        }
+        })
 
         if (!globalExecution.isValid()) {
-            const detectedConnector = connector || 'mangaworld'
             try {
-                await globalExecution.withDrivers([[detectedConnector, 'chromium', null]])
+                await globalExecution.withDrivers([[processConnectorId, 'chromium', null]])
             } catch (error) {
                 queue.push({
                     event: 'error',
@@ -327,18 +575,34 @@ const app = new Elysia()
             try {
                 log.info('Starting process', {
                     url,
+                    method,
                     mode,
                     concurrency: concurrency || globalExecution.opt.concurrency
                 })
-                const results = await jobExecution.process('default', mode, {
+                const results = await jobExecution.process(method, mode, {
                     target: url,
-                    title: title || 'unknown',
-                    concurrency: concurrency
+                    // The connector checked above
+                    connector: processConnectorId,
+                    // Books are named after their metadata title
+                    title: title || (isBook ? undefined : 'unknown'),
+                    concurrency: concurrency,
+                    resume: resume !== 'false',
+                    chapters,
+                    volumes,
+                    latest,
+                    since,
+                    format,
+                    group,
+                    enrich,
+                    fileFormat
                 })
                 log.success('Process completed', {
                     url,
                     chaptersProcessed: results.length
                 })
+                const series = library.findByUrl(url)
+                if (series) await library.recordDownloads(series.id, results)
+                webhooks.emit(WebhookEvent.JOB_FINISHED, jobPayload({ source: 'process', url }, results))
                 queue.push({
                     event: 'end',
                     data: {
@@ -348,6 +612,7 @@ const app = new Elysia()
                 })
             } catch (error) {
                 log.error('Process failed', error, { url })
+                webhooks.emit(WebhookEvent.JOB_FAILED, { source: 'process', url, error: error.message })
                 queue.push({
                     event: 'error',
                     data: {
@@ -362,6 +627,266 @@ const app = new Elysia()
         return sse(streamQueue(queue, 'process'))
     })
 
+    .get('/library', () => {
+        return {
+            success: true,
+            series: library.list()
+        }
+    })
+
+    .get('/library/:id', ({ params: { id }, set }) => {
+        const series = library.get(id)
+        if (!series) {
+            set.status = 404
+            return {
+                success: false,
+                error: `Series not found: ${id}`
+            }
+        }
+        return {
+            success: true,
+            series
+        }
+    })
+
+    // Add a series by url, or a search result ({ link, connector }) as JSON body
+    .post('/library', async ({ query, body, set }) => {
+        const params = { ...query, ...(body && typeof body === 'object' ? body : {}) }
+        const url = params.url || params.link
+        if (!url) {
+            set.status = 400
+            return {
+                success: false,
+                error: 'Missing required parameter: url'
+            }
+        }
+        let connector
+        let schedule
+        try {
+            connector = params.connector || globalExecution.detectConnector(url)
+            globalExecution.assertConnector(connector, Job.DETAILS)
+            schedule = pickSchedule(params)
+        } catch (error) {
+            set.status = 400
+            return {
+                success: false,
+                error: error.message
+            }
+        }
+        try {
+            const { book, chapters } = await globalExecution.getSeries(url, connector, { fresh: params.fresh === 'true' || params.fresh === true })
+            const { series, created } = await library.add({
+                connector,
+                url,
+                book,
+                chapters,
+                title: params.title,
+                options: pickLibraryOptions(params)
+            })
+            if (Object.keys(schedule).length) await library.update(series.id, { schedule })
+            set.status = created ? 201 : 200
+            return {
+                success: true,
+                created,
+                series: library.summarize(series)
+            }
+        } catch (error) {
+            log.error('Failed to add series', error, { url })
+            set.status = 500
+            return {
+                success: false,
+                error: `Failed to add series: ${error.message}`
+            }
+        }
+    })
+
+    .patch('/library/:id', async ({ params: { id }, query, body, set }) => {
+        const params = { ...query, ...(body && typeof body === 'object' ? body : {}) }
+        const options = pickLibraryOptions(params)
+        try {
+            const schedule = pickSchedule(params)
+            const patch = {
+                ...(params.title && { title: params.title }),
+                ...(params.status && { status: params.status }),
+                ...(Object.keys(options).length && { options }),
+                ...(Object.keys(schedule).length && { schedule })
+            }
+            const series = await library.update(id, patch)
+            return {
+                success: true,
+                series: library.summarize(series)
+            }
+        } catch (error) {
+            set.status = library.get(id) ? 400 : 404
+            return {
+                success: false,
+                error: error.message
+            }
+        }
+    })
+
+    .delete('/library/:id', async ({ params: { id }, set }) => {
+        if (!await library.remove(id)) {
+            set.status = 404
+            return {
+                success: false,
+                error: `Series not found: ${id}`
+            }
+        }
+        return {
+            success: true
+        }
+    })
+
+    // Read the series page again: metadata and chapter list, returns the chapters not known before
+    // (and queues their download when the series has download=true)
+    .post('/library/:id/refresh', async ({ params: { id }, set }) => {
+        const series = library.get(id)
+        if (!series) {
+            set.status = 404
+            return {
+                success: false,
+                error: `Series not found: ${id}`
+            }
+        }
+        try {
+            const added = await scheduler.check(id)
+            return {
+                success: true,
+                added,
+                series: library.summarize(series)
+            }
+        } catch (error) {
+            log.error('Failed to refresh series', error, { id })
+            set.status = 500
+            return {
+                success: false,
+                error: `Failed to refresh series: ${error.message}`
+            }
+        }
+    })
+
+    .get('/scheduler', async () => {
+        return {
+            success: true,
+            ...await scheduler.getStatus()
+        }
+    })
+
+    // Check every due series now
+    .post('/scheduler/run', async () => {
+        return {
+            success: true,
+            checked: await scheduler.tick()
+        }
+    })
+
+    // Check interval of a connector's series ("default" to unset)
+    .post('/scheduler/connectors/:connector', async ({ params: { connector }, query: { interval }, set }) => {
+        if (!interval) {
+            set.status = 400
+            return {
+                success: false,
+                error: 'Missing required parameter: interval'
+            }
+        }
+        try {
+            describeConnector(connector)
+            await scheduler.setConnectorInterval(connector, interval === 'default' ? null : interval)
+            return {
+                success: true,
+                connector,
+                interval: interval === 'default' ? null : interval
+            }
+        } catch (error) {
+            set.status = 400
+            return {
+                success: false,
+                error: error.message
+            }
+        }
+    })
+
+    .get('/cache', async () => {
+        return {
+            success: true,
+            ...await getMetadataCache().getStatus()
+        }
+    })
+
+    // Drop cached metadata: one url (url + connector), a connector, or everything
+    .delete('/cache', async ({ query: { connector, url } }) => {
+        return {
+            success: true,
+            removed: await getMetadataCache().invalidate({ connector, url })
+        }
+    })
+
+    .get('/webhooks', () => {
+        return {
+            success: true,
+            events: Object.values(WebhookEvent),
+            webhooks: webhooks.list(),
+            deliveries: webhooks.deliveries
+        }
+    })
+
+    // Register a receiver (events: comma separated WebhookEvent values, all when omitted)
+    .post('/webhooks', async ({ query, body, set }) => {
+        const params = { ...query, ...(body && typeof body === 'object' ? body : {}) }
+        if (!params.url) {
+            set.status = 400
+            return {
+                success: false,
+                error: 'Missing required parameter: url'
+            }
+        }
+        try {
+            const webhook = await webhooks.add({ url: params.url, events: params.events, secret: params.secret })
+            set.status = 201
+            return {
+                success: true,
+                webhook
+            }
+        } catch (error) {
+            set.status = 400
+            return {
+                success: false,
+                error: error.message
+            }
+        }
+    })
+
+    .delete('/webhooks/:id', async ({ params: { id }, set }) => {
+        if (!await webhooks.remove(id)) {
+            set.status = 404
+            return {
+                success: false,
+                error: `Webhook not found: ${id}`
+            }
+        }
+        return {
+            success: true
+        }
+    })
+
+    // Send a sample event, waits for the delivery
+    .post('/webhooks/:id/test', async ({ params: { id }, query: { event = WebhookEvent.JOB_FINISHED }, set }) => {
+        try {
+            const delivery = await webhooks.send(id, event, { test: true })
+            return {
+                success: delivery.ok,
+                delivery
+            }
+        } catch (error) {
+            set.status = 404
+            return {
+                success: false,
+                error: error.message
+            }
+        }
+    })
+
     .get('/status', () => {
         const status = globalExecution.getStatus()
         if (!status.initialized) {
@@ -440,6 +965,9 @@ const app = new Elysia()
     .post('/shutdown', async ({ set }) => {
         try {
             log.info('Shutting down API')
+            scheduler.stop()
+            health.stop()
+            await webhooks.flush()
             if (globalExecution.isValid()) {
                 await globalExecution.dispose()
             }
@@ -463,11 +991,32 @@ const app = new Elysia()
             url: `http://${hostname}:${port}`,
             endpoints: [
                 'GET /health',
+                'GET /health/connectors',
+                'GET /health/connectors/:id',
+                'POST /health/connectors/run',
+                'POST /health/connectors/:id/check?query=...&url=...',
                 'GET /status',
+                'GET /connectors',
+                'POST /connectors/reload',
+                'GET /library',
+                'GET /library/:id',
+                'POST /library?url=...&connector=...&title=...&outputPath=...&format=...&interval=...&download=...',
+                'PATCH /library/:id?title=...&status=following|paused&outputPath=...&format=...&interval=...&download=...',
+                'DELETE /library/:id',
+                'POST /library/:id/refresh',
+                'GET /scheduler',
+                'POST /scheduler/run',
+                'POST /scheduler/connectors/:connector?interval=...',
+                'GET /cache',
+                'DELETE /cache?connector=...&url=...',
+                'GET /webhooks',
+                'POST /webhooks?url=...&events=...&secret=...',
+                'DELETE /webhooks/:id',
+                'POST /webhooks/:id/test?event=...',
                 'GET /setup/:concurrency?connectors=...&context=...',
-                'GET /search/:title?connector=...&deep=...',
-                'GET /book?url=...&connector=...',
-                'GET /process?url=...&mode=...&concurrency=...',
+                'GET /search/:title?connector=...&deep=...&enrich=...&language=...&contentType=...&merge=...&maxPages=...&maxResults=...&genres=...&excludeGenres=...&status=...&type=...&yearFrom=...&yearTo=...&sort=relevance|year|title&popularity=...&fresh=...',
+                'GET /book?url=...&connector=...&enrich=...&fresh=...',
+                'GET /process?url=...&connector=...&method=...&mode=...&concurrency=...&resume=...&chapters=...&volumes=...&latest=...&since=...&format=...&group=...&enrich=...&fileFormat=...',
                 'POST /config/context?mode=...',
                 'POST /config/concurrency?concurrency=...',
                 'POST /shutdown'
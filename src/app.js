@@ -1,9 +1,14 @@
-import { Scraper } from "./scrape.js"
+import { Scraper } from "./scraper.js"
 
 ;(async () => {
     let execution = new Scraper()
-    const { results } = await execution.search('GTO', 'mangaworld')
-    console.log('Results', results)
+    const [{ results }] = await execution.search('GTO', 'mangaworld')
+    console.log('Results', results.map(book => `${book.score} ${book.title}`))
 
-    await execution.process('default', 'single', { target: results[0] })
-})()
\ No newline at end of file
+    // Results are ranked against the query, best match first
+    const [best] = results
+    if (!best) return console.log('No results')
+
+    await execution.process('default', 'sequential', { target: best, title: best.title })
+    await execution.dispose()
+})()
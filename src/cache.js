@@ -0,0 +1,167 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'crypto'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import log from './log.js'
+import { parseDuration } from './utils.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const CACHE_DIR = process.env.METADATA_CACHE_DIR || join(__dirname, '..', '.cache', 'metadata')
+
+/**
+ * Cached data kinds, each with its own TTL
+ */
+export const CacheKind = {
+    BOOK: 'book',           // Detail page fields (Book JSON)
+    CHAPTERS: 'chapters'    // getAllChapterLinks volumes
+}
+
+// Metadata barely changes, chapter lists do
+const DEFAULT_TTL = {
+    [CacheKind.BOOK]: process.env.METADATA_CACHE_TTL || '7d',
+    [CacheKind.CHAPTERS]: process.env.CHAPTERS_CACHE_TTL || '6h'
+}
+
+/**
+ * On-disk cache of detail page reads, per connector and url
+ * One JSON file per entry ({ kind, connector, url, cachedAt, data }) named after a hash of the three,
+ * so concurrent writes never touch the same file. METADATA_CACHE=false turns it off.
+ */
+export class MetadataCache {
+    /**
+     * @param {string} dir - Cache directory
+     * @param {Object} ttl - Per kind TTL ("6h", "7d" or milliseconds), 0 disables a kind
+     */
+    constructor(dir = CACHE_DIR, ttl = {}) {
+        this.dir = dir
+        this.ttl = Object.fromEntries(Object.values(CacheKind).map(kind => [kind, parseDuration(ttl[kind] ?? DEFAULT_TTL[kind])]))
+        this.enabled = process.env.METADATA_CACHE !== 'false'
+        this.stats = { hits: 0, misses: 0, writes: 0 }
+    }
+
+    _path(kind, connector, url) {
+        const hash = createHash('sha1').update(`${connector}\n${url}`).digest('hex')
+        return join(this.dir, `${hash}.${kind}.json`)
+    }
+
+    /**
+     * Cached data, null when missing, expired or disabled
+     */
+    async get(kind, connector, url) {
+        if (!this.enabled || !this.ttl[kind]) return null
+
+        let entry
+        try {
+            entry = JSON.parse(await fs.readFile(this._path(kind, connector, url), 'utf8'))
+        } catch (error) {
+            if (error.code !== 'ENOENT') log.warn('Unreadable cache entry', { kind, connector, url, error: error.message })
+            this.stats.misses++
+            return null
+        }
+
+        if (Date.now() - new Date(entry.cachedAt).getTime() > this.ttl[kind]) {
+            this.stats.misses++
+            return null
+        }
+
+        this.stats.hits++
+        log.debug('Metadata cache hit', { kind, connector, url })
+        return entry.data
+    }
+
+    /**
+     * Store data (atomic), failures are logged and ignored
+     */
+    async set(kind, connector, url, data) {
+        if (!this.enabled || !this.ttl[kind]) return
+
+        const path = this._path(kind, connector, url)
+        const tmpPath = `${path}.${process.pid}.tmp`
+        try {
+            await fs.mkdir(this.dir, { recursive: true })
+            await fs.writeFile(tmpPath, JSON.stringify({ kind, connector, url, cachedAt: new Date().toISOString(), data }), 'utf8')
+            await fs.rename(tmpPath, path)
+            this.stats.writes++
+        } catch (error) {
+            log.warn('Could not write cache entry', { kind, connector, url, error: error.message })
+        }
+    }
+
+    /**
+     * Remove entries: one url, a whole connector, or everything when both are omitted
+     * @param {Object} filter - { connector, url }
+     * @returns {Promise<number>} Entries removed
+     */
+    async invalidate({ connector = null, url = null } = {}) {
+        let removed = 0
+
+        if (connector && url) {
+            for (const kind of Object.values(CacheKind)) {
+                try {
+                    await fs.unlink(this._path(kind, connector, url))
+                    removed++
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error
+                }
+            }
+        } else {
+            for (const { file, entry } of await this._entries()) {
+                if (connector && entry?.connector !== connector) continue
+                if (url && entry?.url !== url) continue
+                await fs.unlink(join(this.dir, file)).catch(() => {})
+                removed++
+            }
+        }
+
+        log.info('Metadata cache invalidated', { connector, url, removed })
+        return removed
+    }
+
+    /**
+     * Entry counts per kind and hit / miss counters since start
+     */
+    async getStatus() {
+        const entries = await this._entries()
+        const now = Date.now()
+
+        const kinds = Object.fromEntries(Object.values(CacheKind).map(kind => {
+            const ofKind = entries.filter(({ entry }) => entry?.kind === kind)
+            return [kind, {
+                ttl: this.ttl[kind],
+                entries: ofKind.length,
+                expired: ofKind.filter(({ entry }) => now - new Date(entry.cachedAt).getTime() > this.ttl[kind]).length
+            }]
+        }))
+
+        return { enabled: this.enabled, dir: this.dir, kinds, ...this.stats }
+    }
+
+    async _entries() {
+        let files
+        try {
+            files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'))
+        } catch (error) {
+            if (error.code === 'ENOENT') return []
+            throw error
+        }
+
+        return await Promise.all(files.map(async file => ({
+            file,
+            entry: await fs.readFile(join(this.dir, file), 'utf8').then(JSON.parse).catch(() => null)
+        })))
+    }
+}
+
+// Singleton instance
+let cacheInstance = null
+
+/**
+ * Get or create the metadata cache
+ * @returns {MetadataCache}
+ */
+export function getMetadataCache() {
+    if (!cacheInstance) cacheInstance = new MetadataCache()
+    return cacheInstance
+}
+
+export default MetadataCache
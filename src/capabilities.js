@@ -0,0 +1,216 @@
+import { SearchFilter } from './filters.js'
+
+/**
+ * Connector capabilities
+ * Each connector declares what it can do in `capabilities`, validated at registration
+ */
+export const Capability = {
+    SEARCH: 'search',                  // getSearchUrl + getSearchResults
+    FILTERS: 'filters',                // Search filters getSearchUrl(title, filters) applies, declared as a list
+    METADATA: 'metadata',              // getEntryField, declared as the list of fields it reads
+    CHAPTERS: 'chapters',              // getAllChapterLinks
+    PAGES: 'pages',                    // getPage on the reader
+    PAGE_COUNT: 'pageCount',           // getPageCount on the reader
+    PAGE_NAVIGATION: 'pageNavigation', // getNextPage on the reader
+    BRUTE: 'brute',                    // Sequential CDN file index (CDN_ENDPOINT_URL)
+    FILES: 'files'                     // getFiles on a book detail page (book content type)
+}
+
+/**
+ * Content types
+ */
+export const ContentType = {
+    MANGA: 'manga', // Volumes / chapters / pages
+    BOOK: 'book'    // Single file, no chapters or pages
+}
+
+// Any language
+export const ANY_LANGUAGE = '*'
+
+// Members a connector must expose for each declared capability
+const REQUIRED_MEMBERS = {
+    [Capability.SEARCH]: ['getSearchUrl', 'getSearchResults'],
+    [Capability.FILTERS]: ['getSearchUrl'],
+    [Capability.METADATA]: ['getEntryField'],
+    [Capability.CHAPTERS]: ['getAllChapterLinks'],
+    [Capability.PAGES]: ['getPage'],
+    [Capability.PAGE_COUNT]: ['getPageCount'],
+    [Capability.PAGE_NAVIGATION]: ['getNextPage'],
+    [Capability.BRUTE]: ['CDN_ENDPOINT_URL'],
+    [Capability.FILES]: ['getFiles']
+}
+
+// Capabilities that only make sense together
+const DEPENDENCIES = {
+    [Capability.FILTERS]: [Capability.SEARCH],
+    [Capability.PAGES]: [Capability.CHAPTERS],
+    [Capability.PAGE_COUNT]: [Capability.PAGES],
+    [Capability.PAGE_NAVIGATION]: [Capability.PAGES],
+    [Capability.BRUTE]: [Capability.PAGES]
+}
+
+// Capabilities tied to a content type
+const CONTENT_TYPE_CAPABILITIES = {
+    [ContentType.MANGA]: [Capability.CHAPTERS, Capability.PAGES, Capability.PAGE_COUNT, Capability.PAGE_NAVIGATION, Capability.BRUTE],
+    [ContentType.BOOK]: [Capability.FILES]
+}
+
+/**
+ * Jobs routed to connectors
+ */
+export const Job = {
+    SEARCH: 'search',
+    DETAILS: 'details',
+    PROCESS: 'process',
+    BRUTE: 'brute',
+    DOWNLOAD: 'download',
+    ENRICH: 'enrich'
+}
+
+// Capabilities each job needs
+const JOB_CAPABILITIES = {
+    [Job.SEARCH]: [Capability.SEARCH],
+    [Job.DETAILS]: [Capability.METADATA],
+    [Job.PROCESS]: [Capability.CHAPTERS, Capability.PAGES],
+    [Job.BRUTE]: [Capability.CHAPTERS, Capability.PAGES, Capability.BRUTE],
+    [Job.DOWNLOAD]: [Capability.FILES],
+    [Job.ENRICH]: [Capability.SEARCH, Capability.METADATA]
+}
+
+/**
+ * Validate a connector instance against its declared capabilities
+ * @param {Object} connector - Connector instance (factory output)
+ * @returns {Object} Normalized capabilities ({ search, metadata: [fields], chapters, ..., languages, contentType })
+ * @throws {Error} On missing declarations, unknown values or members missing for a declared capability
+ */
+export function validateConnector(connector) {
+    const name = connector?.name || 'unknown'
+    const declared = connector?.capabilities
+
+    if (!declared || typeof declared !== 'object') {
+        throw new Error(`Connector ${name} does not declare its capabilities`)
+    }
+
+    const errors = []
+
+    const unknown = Object.keys(declared)
+        .filter(key => !Object.values(Capability).includes(key) && key !== 'languages' && key !== 'contentType')
+    if (unknown.length) errors.push(`unknown capabilities: ${unknown.join(', ')}`)
+
+    if (!Object.values(ContentType).includes(declared.contentType)) {
+        errors.push(`contentType must be one of ${Object.values(ContentType).join(', ')}`)
+    }
+
+    if (!Array.isArray(declared.languages) || !declared.languages.length) {
+        errors.push(`languages must be a non-empty list (use '${ANY_LANGUAGE}' for any)`)
+    }
+
+    const metadata = declared[Capability.METADATA]
+    if (metadata !== undefined && metadata !== false
+        && (!Array.isArray(metadata) || !metadata.every(field => typeof field === 'string'))) {
+        errors.push('metadata must be the list of fields read by getEntryField')
+    }
+
+    const filters = declared[Capability.FILTERS]
+    if (filters !== undefined && filters !== false
+        && (!Array.isArray(filters) || !filters.every(filter => Object.values(SearchFilter).includes(filter)))) {
+        errors.push(`filters must be a list of ${Object.values(SearchFilter).join(', ')}`)
+    }
+
+    for (const capability of Object.values(Capability)) {
+        if (!declared[capability]) continue
+
+        const missing = REQUIRED_MEMBERS[capability].filter(member => connector[member] === undefined)
+        if (missing.length) errors.push(`${capability} requires ${missing.join(', ')}`)
+
+        const unmet = (DEPENDENCIES[capability] || []).filter(dependency => !declared[dependency])
+        if (unmet.length) errors.push(`${capability} requires the ${unmet.join(', ')} capability`)
+
+        const contentType = Object.keys(CONTENT_TYPE_CAPABILITIES)
+            .find(type => CONTENT_TYPE_CAPABILITIES[type].includes(capability))
+        if (contentType && declared.contentType && contentType !== declared.contentType) {
+            errors.push(`${capability} is only for ${contentType} connectors`)
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(`Invalid connector ${name}: ${errors.join('; ')}`)
+    }
+
+    return getCapabilities(connector)
+}
+
+/**
+ * Normalized capabilities of a connector instance
+ */
+export function getCapabilities(connector) {
+    const declared = connector?.capabilities || {}
+
+    return {
+        ...Object.fromEntries(Object.values(Capability).map(capability => [capability, !!declared[capability]])),
+        [Capability.METADATA]: Array.isArray(declared.metadata) ? [...declared.metadata] : [],
+        [Capability.FILTERS]: Array.isArray(declared.filters) ? [...declared.filters] : [],
+        languages: [...(declared.languages || [])],
+        contentType: declared.contentType || null
+    }
+}
+
+/**
+ * Capabilities a connector lacks for a job
+ * @param {Object} connector - Connector instance
+ * @param {string} job - Job
+ * @returns {Array<string>} Missing capabilities (empty when the connector can do the job)
+ */
+export function getMissingCapabilities(connector, job) {
+    const required = JOB_CAPABILITIES[job]
+    if (!required) throw new Error(`Invalid job: ${job}. Valid: ${Object.values(Job).join(', ')}`)
+
+    const capabilities = getCapabilities(connector)
+    return required.filter(capability => capability === Capability.METADATA
+        ? !capabilities.metadata.length
+        : !capabilities[capability])
+}
+
+/**
+ * Whether a connector has every capability a job needs
+ */
+export function canDo(connector, job) {
+    return getMissingCapabilities(connector, job).length === 0
+}
+
+/**
+ * Throw when a connector can't do a job
+ * @throws {Error} Naming the connector, the job and the missing capabilities
+ */
+export function assertCanDo(connector, job) {
+    const missing = getMissingCapabilities(connector, job)
+    if (missing.length) {
+        throw new Error(`Connector ${connector?.name || 'unknown'} does not support ${job} (missing: ${missing.join(', ')})`)
+    }
+}
+
+/**
+ * Job that downloads a connector's content: chapters for manga, files for books
+ */
+export function getProcessJob(connector, brute = false) {
+    if (getCapabilities(connector).contentType === ContentType.BOOK) return Job.DOWNLOAD
+    return brute ? Job.BRUTE : Job.PROCESS
+}
+
+/**
+ * Metadata-only connector: search and details, nothing to download
+ */
+export function isMetadataOnly(connector) {
+    const capabilities = getCapabilities(connector)
+    return canDo(connector, Job.ENRICH) && !capabilities.chapters && !capabilities.files
+}
+
+/**
+ * Whether a connector serves a language (connectors declaring '*' serve all)
+ */
+export function supportsLanguage(connector, language) {
+    if (!language) return true
+
+    const languages = getCapabilities(connector).languages
+    return languages.includes(ANY_LANGUAGE) || languages.includes(language.toLowerCase())
+}
@@ -0,0 +1,137 @@
+import log from "./log.js"
+
+/**
+ * Capture modes
+ */
+export const CaptureMode = {
+    DOM: 'dom',         // Read the <img> src and download it again
+    NETWORK: 'network'  // Record image responses while the browser loads them
+}
+
+// Mode used when neither the driver option nor the connector picks one, DOM unless CAPTURE_MODE=network
+export const DEFAULT_CAPTURE_MODE = process.env.CAPTURE_MODE === CaptureMode.NETWORK ? CaptureMode.NETWORK : CaptureMode.DOM
+
+/**
+ * Records image responses through request interception,
+ * so pages can be paired with bytes the browser already fetched
+ */
+export class ImageCapture {
+    constructor(page, opt = {}) {
+        this.page = page
+        this.filter = opt.filter || null // string prefix, RegExp or (url) => boolean
+        this.waitMs = opt.waitMs ?? 2000
+        this.responses = [] // { url, status, contentType, buffer, order }
+        this.consumed = new Set()
+        this.handler = null
+    }
+
+    /**
+     * Start intercepting requests on the page
+     */
+    async start() {
+        if (this.handler) return
+
+        this.handler = async (route) => {
+            const request = route.request()
+            const url = request.url()
+
+            if (!this._shouldIntercept(url, request.resourceType())) {
+                return await route.fallback()
+            }
+
+            try {
+                const response = await route.fetch()
+                const buffer = await response.body()
+                const contentType = response.headers()['content-type'] || ''
+
+                if (response.ok() && contentType.startsWith('image/')) {
+                    this.responses.push({
+                        url,
+                        status: response.status(),
+                        contentType,
+                        buffer,
+                        order: this.responses.length
+                    })
+                    log.debug('Image response captured', { url, bytes: buffer.length })
+                }
+
+                await route.fulfill({ response, body: buffer })
+            } catch (error) {
+                log.debug('Image capture failed, continuing request', { url, error: error.message })
+                try { await route.fallback() } catch (e) {}
+            }
+        }
+
+        await this.page.route('**/*', this.handler)
+        log.debug('Image capture started', { filter: String(this.filter || 'images') })
+    }
+
+    /**
+     * Stop intercepting and drop recorded responses
+     */
+    async stop() {
+        if (!this.handler) return
+
+        try {
+            await this.page.unroute('**/*', this.handler)
+        } catch (error) {
+            log.debug('Failed to remove capture route', { error: error.message })
+        }
+
+        this.handler = null
+        this.clear()
+        log.debug('Image capture stopped')
+    }
+
+    /**
+     * Pair a page with a recorded response
+     * Matches http(s) sources by url, anything else takes the oldest response not yet taken
+     * @param {string|null} src - Page src as seen in the DOM (may be a blob: url or missing)
+     * @returns {Promise<Object|null>} Captured response or null
+     */
+    async take(src = null) {
+        const deadline = Date.now() + this.waitMs
+
+        while (true) {
+            const entry = this._find(src)
+            if (entry) {
+                this.consumed.add(entry.order)
+                return entry
+            }
+
+            if (Date.now() >= deadline) return null
+            await new Promise(resolve => setTimeout(resolve, 100))
+        }
+    }
+
+    clear() {
+        this.responses = []
+        this.consumed.clear()
+    }
+
+    getStatus() {
+        return {
+            active: !!this.handler,
+            captured: this.responses.length,
+            consumed: this.consumed.size
+        }
+    }
+
+    _find(src) {
+        const pending = this.responses.filter(entry => !this.consumed.has(entry.order))
+
+        // Real urls pair by url only, blob: or missing sources pair by order
+        if (src && /^https?:/.test(src)) {
+            return pending.find(entry => entry.url === src) || null
+        }
+
+        return pending[0] || null
+    }
+
+    _shouldIntercept(url, resourceType) {
+        if (!this.filter) return resourceType === 'image'
+        if (typeof this.filter === 'function') return this.filter(url)
+        if (this.filter instanceof RegExp) return this.filter.test(url)
+        return url.startsWith(this.filter)
+    }
+}
@@ -1,46 +1,116 @@
-import { Url } from "../utils.js"
+import { childText, childrenText, childAttribute, Url } from "../utils.js"
 import log from "../log.js"
+import { ContentType } from "../capabilities.js"
 
+const name = 'animeclick'
 const ENDPOINT_URL = 'https://www.animeclick.it'
+const LANGUAGE = 'it'
 
+// Search rows list the work category, only comics are kept (no anime / novels)
+const COMIC_CATEGORY = 'fumetto'
+
+const absolute = (href) => !href || href.startsWith('http') ? href : ENDPOINT_URL + href
+
+/**
+ * Metadata-only connector: search and book details, no chapters
+ * Used to enrich Books from the download sources with Italian plot, authors and genres
+ */
 export default (driver) => ({
     ...driver,
-    name: 'animeclick',
+    name,
+
+    capabilities: {
+        search: true,
+        metadata: ['banner', 'title', 'alternative_titles', 'genres', 'author', 'artist', 'type',
+            'status', 'year', 'n_volumes', 'plot'],
+        languages: [LANGUAGE],
+        contentType: ContentType.MANGA
+    },
+
+    // Fields copied onto Books from other connectors (see Book.enrich)
+    enrichFields: ['plot', 'author', 'artist', 'genres', 'alternative_titles', 'year'],
+    // Italian plot replaces the source one, other fields only fill gaps
+    enrichOverride: ['plot'],
 
     getSearchUrl: (title) =>
-        Url.fromString(ENDPOINT_URL + '/cerca?name=' + title),
+        new Url(ENDPOINT_URL, ['cerca'], '', { name: title }),
 
     getSearchResults: async () => {
-        const items = (await driver.page.$$('.row .media.item-search-item'))
-            .filter(async item =>
-                (await item.$$('ul > li')
-                    .some(async row => (
-                        await row.textContent()
-                    )?.toLocaleLowerCase()?.includes('fumetto'))
-            ))
-
-        return items
+        const entries = await driver.page.$$('.row .media.item-search-item')
+
+        const results = await Promise.all(entries.map(async (entry) => {
+            const rows = await childrenText(entry, 'ul > li')
+            const isComic = rows.some(row => row?.toLocaleLowerCase()?.includes(COMIC_CATEGORY))
+            if (!isComic) return null
+
+            const banner = await childAttribute(entry, 'a.thumb > img', 'src')
+
+            return {
+                title: await childText(entry, '.manga-title') || await childAttribute(entry, 'a.thumb', 'title'),
+                link: absolute(await childAttribute(entry, 'a.thumb', 'href')),
+                banner: banner ? { full_size: absolute(banner) } : null
+            }
+        }))
+
+        return results.filter(Boolean)
     },
 
-    getSearchEntryField: async(key, entry) => {
+    /**
+     * Get field from book detail page (must be on detail page)
+     */
+    getEntryField: async (key, only_keys=false) => {
+        const entry = driver.page
+
+        // Detail rows are <dt>Label</dt><dd>Value</dd> pairs
+        const getDetail = async (labels, links = false) => {
+            return await entry.$$eval('dl dt', (dts, { labels, links }) => {
+                const dt = dts.find(el => labels.includes(el.textContent.trim().toLowerCase().replace(/:$/, '')))
+                const dd = dt?.nextElementSibling
+                if (!dd || dd.tagName !== 'DD') return null
+
+                if (!links) return dd.textContent
+                const anchors = [...dd.querySelectorAll('a')].map(a => a.textContent)
+                return anchors.length ? anchors : dd.textContent.split(',')
+            }, { labels, links })
+        }
+
         const keys = {
-            link: async () => await childAttribute(entry, 'a.thumb', 'href'),
-            banner: async () => await childAttribute(entry, 'a.thumb > img', 'src'),
-            title: async () => await childText(entry, '.manga-title'),
-            type: async () => await childText(entry, '.genre > a'),
-            author: async () => await childText(entry, '.author > a'),
-            artist: async () => await childText(entry, '.artist > a'),
-            genres: async () => await childrenText(entry, '.genres > a'),
-            short_plot: async () => await entry.$eval('.story', el => {
-                const clone = el.cloneNode(true)
-                clone.querySelector('span').remove()
-                return clone.textContent.trim()
-            })
+            banner: async () => {
+                const src = await childAttribute(entry, '.cover img, img[itemprop="image"]', 'src')
+                return src ? { full_size: absolute(src) } : null
+            },
+            title: async () => await childText(entry, 'h1[itemprop="name"], h1'),
+            alternative_titles: async () => [
+                await getDetail(['titolo originale']),
+                await getDetail(['titolo inglese']),
+                await getDetail(['titolo kanji'])
+            ].filter(Boolean),
+            genres: async () => await getDetail(['genere', 'generi'], true),
+            author: async () => await getDetail(['storia', 'autore', 'autori']),
+            artist: async () => await getDetail(['disegni', 'autore', 'autori']),
+            type: async () => await getDetail(['categoria']),
+            status: async () => await getDetail(['stato in patria', 'stato']),
+            year: async () => await getDetail(['anno']),
+            n_volumes: async () => await getDetail(['volumi']),
+            plot: async () => await childText(entry, '#trama-div, [itemprop="description"]')
         }
+
+        if (only_keys) return Object.keys(keys)
+
         const getEntry = keys?.[key]
-        if (!getEntry) return
-        return await getEntry()
+        if (!getEntry) return null
+
+        try {
+            log.debug('Getting field', { key, name })
+            return await getEntry()
+        } catch (err) {
+            log.error(`Failed to get field ${key}`, err, { key, name })
+            return null
+        }
     },
 
+    // Health check search
+    canary: 'One Piece',
+
     ENDPOINT_URL
-})
\ No newline at end of file
+})
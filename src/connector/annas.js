@@ -0,0 +1,190 @@
+import { childText, childrenText, childAttribute, Url } from "../utils.js"
+import log from "../log.js"
+import { ANY_LANGUAGE, ContentType } from "../capabilities.js"
+import { SearchFilter } from "../filters.js"
+import { BookFile } from "../models/book.js"
+
+const name = 'annas'
+const DEFAULT_ENDPOINT_URL = 'https://annas-archive.org'
+
+const FORMATS = ['epub', 'pdf', 'mobi', 'azw3', 'djvu', 'fb2', 'cbz', 'cbr', 'txt', 'zip']
+
+// Read per instance so the connector can run against a local copy of the site (see tests/fixtures/annas):
+// the driver's endpoint option, then ANNAS_ENDPOINT_URL
+const endpointOf = (driver) => driver.endpoint || process.env.ANNAS_ENDPOINT_URL || DEFAULT_ENDPOINT_URL
+
+const absolute = (endpoint, href) => !href || /^https?:\/\//.test(href) ? href : endpoint + href
+
+/**
+ * File details from a meta line, e.g. "English [en], .epub, 🚀/lgli/zlib, 1.2MB, 📕 Book (fiction)"
+ * @returns {{ language: string|null, format: string|null, size: number|null, type: string|null }}
+ */
+const parseMeta = (text) => {
+    const parts = (text || '').split(',').map(part => part.trim()).filter(Boolean)
+
+    const format = parts
+        .map(part => part.toLowerCase().replace(/^\./, ''))
+        .find(part => FORMATS.includes(part)) || null
+
+    return {
+        language: text?.match(/\[([a-z]{2,3})\]/i)?.[1] || null,
+        format,
+        size: BookFile.parseSize(parts.find(part => BookFile.parseSize(part) !== null)),
+        type: parts.find(part => /book|magazine|comic|paper/i.test(part))?.replace(/^[^\p{L}]+/u, '') || null
+    }
+}
+
+// Content hash from a record link ("/md5/<hash>")
+const md5Of = (link) => link?.match(/\/md5\/([a-f0-9]{32})/i)?.[1] || null
+
+/**
+ * Downloadable files of a record (page must be on its detail page), one per mirror
+ * @returns {Promise<Array<BookFile>>}
+ */
+const readFiles = async (page, endpoint) => {
+    const meta = parseMeta(await childText(page, '.text-sm.text-gray-500'))
+    const edition = await childText(page, '.text-md')
+    const md5 = md5Of(page.url())
+    const links = await page.$$('a.js-download-link')
+
+    const files = await Promise.all(links.map(async (link) => new BookFile({
+        url: absolute(endpoint, await link.getAttribute('href')),
+        mirror: await link.textContent(),
+        format: meta.format,
+        size: meta.size,
+        language: meta.language,
+        edition,
+        md5
+    })))
+
+    return files.filter(file => file.url)
+}
+
+/**
+ * Shadow library search engine: one record per file (md5), no chapters
+ * Books carry their downloadable files (format, size, language, edition) and
+ * process() downloads one of them instead of reading pages
+ */
+export default (driver) => ({
+    ...driver,
+    name,
+
+    capabilities: {
+        search: true,
+        filters: [SearchFilter.LANGUAGE],
+        metadata: ['banner', 'title', 'author', 'publisher', 'edition', 'language', 'year', 'type',
+            'isbn', 'plot', 'files'],
+        files: true,
+        languages: [ANY_LANGUAGE],
+        contentType: ContentType.BOOK
+    },
+
+    getSearchUrl: (title, filters = {}) =>
+        new Url(endpointOf(driver), ['search'], '', {
+            q: title,
+            ...(filters.language && { lang: filters.language }),
+            page: 1
+        }),
+
+    getSearchResults: async () => {
+        const entries = await driver.page.$$('a[href^="/md5/"]')
+
+        const results = await Promise.all(entries.map(async (entry) => {
+            const title = await childText(entry, 'h3')
+            if (!title) return null
+
+            const link = absolute(endpointOf(driver), await entry.getAttribute('href'))
+            const publisher = await childText(entry, 'div.truncate')
+            const meta = parseMeta(await childText(entry, '.text-gray-500'))
+            const banner = await childAttribute(entry, 'img', 'src')
+
+            return {
+                content_type: ContentType.BOOK,
+                title,
+                link,
+                banner: banner ? { full_size: absolute(endpointOf(driver), banner) } : null,
+                author: await childText(entry, '.italic'),
+                publisher,
+                language: meta.language,
+                type: meta.type,
+                files: [{ url: link, format: meta.format, size: meta.size, language: meta.language, md5: md5Of(link) }]
+            }
+        }))
+
+        return results.filter(Boolean)
+    },
+
+    /**
+     * Get field from book detail page (must be on detail page)
+     */
+    getEntryField: async (key, only_keys=false) => {
+        const entry = driver.page
+
+        // "Publisher, 2nd edition, 2019" under the title
+        const getPublisherLine = async () =>
+            (await childText(entry, '.text-md'))?.split(',').map(part => part.trim()).filter(Boolean) || []
+
+        const keys = {
+            banner: async () => {
+                const src = await childAttribute(entry, 'main img', 'src')
+                return src ? { full_size: absolute(endpointOf(driver), src) } : null
+            },
+            title: async () => await childText(entry, '.text-3xl.font-bold'),
+            author: async () => await childText(entry, 'main .italic'),
+            publisher: async () => (await getPublisherLine())[0] || null,
+            edition: async () => (await getPublisherLine()).find(part => /edition|ed\./i.test(part)) || null,
+            language: async () => parseMeta(await childText(entry, '.text-sm.text-gray-500')).language,
+            year: async () => (await getPublisherLine()).find(part => /^\d{4}$/.test(part)) || null,
+            type: async () => parseMeta(await childText(entry, '.text-sm.text-gray-500')).type,
+            isbn: async () => (await childrenText(entry, '.js-md5-codes-tabs-tab[data-code="isbn13"], .isbn'))
+                .map(isbn => isbn?.replace(/[^\dX]/gi, '')),
+            plot: async () => await childText(entry, '.js-md5-top-box-description'),
+            files: async () => (await readFiles(entry, endpointOf(driver))).map(file => file.toJSON())
+        }
+
+        if (only_keys) return Object.keys(keys)
+
+        const getEntry = keys?.[key]
+        if (!getEntry) return null
+
+        try {
+            log.debug('Getting field', { key, name })
+            return await getEntry()
+        } catch (err) {
+            log.error(`Failed to get field ${key}`, err, { key, name })
+            return null
+        }
+    },
+
+    /**
+     * Downloadable files of the record (must be on detail page), one per mirror
+     * @returns {Promise<Array<BookFile>>}
+     */
+    getFiles: async () => await readFiles(driver.page, endpointOf(driver)),
+
+    /**
+     * Direct file url behind a mirror page ("Download now" link), the mirror url itself otherwise
+     * @param {BookFile} file
+     * @returns {Promise<string>}
+     */
+    getDownloadUrl: async (file) => {
+        try {
+            await driver.page.goto(file.url, {
+                waitUntil: 'domcontentloaded',
+                timeout: 30000
+            })
+        } catch (err) {
+            // Navigating to a file starts a download instead of loading a page
+            log.debug('Mirror is a direct download', { url: file.url, error: err.message })
+            return file.url
+        }
+
+        const href = await childAttribute(driver.page, 'a:has-text("Download now")', 'href')
+        return href ? absolute(endpointOf(driver), href) : file.url
+    },
+
+    // Health check search, a public domain title with many files
+    canary: 'Pride and Prejudice',
+
+    ENDPOINT_URL: endpointOf(driver)
+})
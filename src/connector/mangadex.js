@@ -1,5 +1,7 @@
 import { childText, childrenText, childAttribute, Url } from "../utils.js"
 import log from "../log.js"
+import { ANY_LANGUAGE, ContentType } from "../capabilities.js"
+import { Chapter } from "../models/chapter.js"
 
 const name = 'mangadex'
 const ENDPOINT_URL = 'https://mangadex.org'
@@ -9,6 +11,19 @@ export default (driver) => ({
     ...driver,
     name,
 
+    // Chapters come in every scanlation language, pages are blobs so no brute
+    capabilities: {
+        search: true,
+        metadata: ['banner', 'title', 'alternative_titles', 'genres', 'author', 'artist', 'type',
+            'status', 'year', 'plot'],
+        chapters: true,
+        pages: true,
+        pageCount: true,
+        pageNavigation: true,
+        languages: [ANY_LANGUAGE],
+        contentType: ContentType.MANGA
+    },
+
     getPages: async () => {
         const anchorsText = await childrenText(driver.page, '.flex.justify-center.flex-wrap.gap-2.mt-6 > a')
         if (anchorsText.length >= 2) {
@@ -203,7 +218,20 @@ export default (driver) => ({
                         if (anchor) {
                             const href = await anchor.getAttribute('href') || ''
                             const absolute = href.startsWith('http') ? href : ENDPOINT_URL + href
-                            chapters.push(Url.fromString(absolute))
+
+                            // Flag image carries the language (/img/flags/<lang>.svg)
+                            const flag = await childAttribute(chosen, 'img', 'src')
+                            const time = await chosen.$('time')
+
+                            chapters.push(new Chapter({
+                                url: Url.fromString(absolute),
+                                number: await chapBtn.textContent(),
+                                title: await childText(anchor, '.chapter-link, .line-clamp-1'),
+                                language: flag?.match(/flags\/([a-z-]+)\.svg/i)?.[1],
+                                group: await childText(chosen, '.group-tag, a[href*="/group/"]'),
+                                uploadedAt: time ? await time.getAttribute('datetime') : null,
+                                volume: volIdx + 1
+                            }))
                         }
                     } catch (e) {
                         log.debug('Error processing chapter', { error: e.message })
@@ -211,8 +239,8 @@ export default (driver) => ({
                 }
 
                 if (chapters.length > 0) {
-                    const uniqueChapters = [...new Map(chapters.map(link =>
-                        [link.render(), link]
+                    const uniqueChapters = [...new Map(chapters.map(chapter =>
+                        [chapter.key, chapter]
                     )).values()]
 
                     volumes.push({
@@ -277,6 +305,10 @@ export default (driver) => ({
         }
     },
 
+    /**
+     * Get the visible reader image src
+     * It is a blob: url, paired with the intercepted response by order (or captured in-page as fallback)
+     */
     getPage: async () => {
         await driver.page.waitForFunction(() => {
             const imgs = document.querySelectorAll('img.img.sp.limit-width.limit-height.mx-auto')
@@ -290,18 +322,19 @@ export default (driver) => ({
             })
         }, { timeout: 10e3 })
 
-        const imgHandle = await driver.page.evaluateHandle(() => {
+        const src = await driver.page.evaluate(() => {
             const imgs = Array.from(document.querySelectorAll('img.img.sp.limit-width.limit-height.mx-auto'))
-            return imgs.find(img => {
+            const img = imgs.find(img => {
                 const rect = img.getBoundingClientRect()
                 return rect.width > 0 && rect.height > 0 &&
                     img.offsetParent !== null &&
                     img.src.startsWith('blob:') &&
                     img.complete
             })
+            return img ? img.src : null
         })
 
-        return imgHandle.asElement()
+        return src ? { src } : null
     },
 
     getNextPage: async () => {
@@ -326,6 +359,12 @@ export default (driver) => ({
         }
     },
 
+    // Reader fetches pages from MangaDex@Home nodes and shows them as blobs (network capture mode)
+    capturePattern: /\/data(-saver)?\//,
+
+    // Health check search, a series with chapters in most languages
+    canary: 'One Piece',
+
     ENDPOINT_URL,
     CDN_ENDPOINT_URL
 })
\ No newline at end of file
@@ -1,14 +1,58 @@
 import { childText, childrenText, childAttribute, Url } from "../utils.js"
 import log from "../log.js"
+import { ContentType } from "../capabilities.js"
+import { SearchFilter } from "../filters.js"
+import { BookStatus } from "../models/book.js"
+import { Chapter } from "../models/chapter.js"
 
 const name = 'mangaworld'
 const ENDPOINT_URL = 'https://mangaworld.cx'
 const CDN_ENDPOINT_URL = 'https://cdn.mangaworld.cx'
+const LANGUAGE = 'it'
+
+const MONTHS = ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+    'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre']
+
+// "20 Gennaio 2019" -> Date
+const parseDate = (text) => {
+    const match = text?.toLowerCase().match(/(\d{1,2})\s+([a-z]+)\s+(\d{4})/)
+    if (!match) return null
+
+    const month = MONTHS.indexOf(match[2])
+    if (month < 0) return null
+
+    return new Date(Date.UTC(parseInt(match[3]), month, parseInt(match[1])))
+}
+
+// Archive status param values
+const ARCHIVE_STATUS = {
+    [BookStatus.ONGOING]: 'ongoing',
+    [BookStatus.COMPLETED]: 'completed',
+    [BookStatus.HIATUS]: 'paused',
+    [BookStatus.CANCELLED]: 'dropped'
+}
+
+// "Arti Marziali" -> "arti-marziali"
+const slug = (value) => value.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
 
 export default (driver) => ({
     ...driver,
     name,
 
+    capabilities: {
+        search: true,
+        filters: [SearchFilter.GENRES, SearchFilter.STATUS, SearchFilter.TYPE],
+        metadata: ['banner', 'title', 'alternative_titles', 'genres', 'author', 'artist', 'type',
+            'status', 'views', 'year', 'n_volumes', 'n_chaps', 'plot'],
+        chapters: true,
+        pages: true,
+        pageCount: true,
+        pageNavigation: true,
+        brute: true,
+        languages: [LANGUAGE],
+        contentType: ContentType.MANGA
+    },
+
     getPages: async () => {
         let pages = await driver.page.$('.page-item.last > a.page-link')
         if (!pages) return
@@ -98,9 +142,15 @@ export default (driver) => ({
         }
     },
 
-    getSearchUrl(title) {
+    /**
+     * Archive search, filters map to its genre / status / type params
+     */
+    getSearchUrl(title, filters = {}) {
         return new Url(ENDPOINT_URL, ["archive"], "", {
             keyword: title,
+            ...(filters.genres?.length && { genre: filters.genres.map(slug) }),
+            ...(filters.status?.length && { status: filters.status.map(status => ARCHIVE_STATUS[status]).filter(Boolean) }),
+            ...(filters.type?.length && { type: filters.type.map(slug) }),
             page: 1
         })
     },
@@ -122,7 +172,16 @@ export default (driver) => ({
                     anchors.map(async a => {
                         try {
                             const href = await a.getAttribute('href')
-                            return Url.fromString(href)
+                            const label = await childText(a, 'span') || await a.getAttribute('title')
+                            const date = await childText(a, 'i')
+
+                            return new Chapter({
+                                url: Url.fromString(href),
+                                number: label,
+                                title: label,
+                                language: LANGUAGE,
+                                uploadedAt: parseDate(date)
+                            })
                         } catch (error) {
                             log.error('Failed to get chapter link', error)
                             return null
@@ -141,7 +200,10 @@ export default (driver) => ({
                 totalChapters: volumes.reduce((sum, v) => sum + v.chapters.length, 0)
             })
 
-            return volumes.reverse().map((vol, i) => ({ ...vol, volume: i + 1 }))
+            return volumes.reverse().map((vol, i) => {
+                vol.chapters.forEach(chapter => { chapter.volume = i + 1 })
+                return { ...vol, volume: i + 1 }
+            })
         } catch (error) {
             log.error('Failed to get all chapter links', error)
             throw error
@@ -238,6 +300,12 @@ export default (driver) => ({
         }
     },
 
+    // Page images come straight from the CDN, network capture pairs them by url
+    capturePattern: CDN_ENDPOINT_URL,
+
+    // Title searched by the health check (see health.js)
+    canary: 'One Piece',
+
     ENDPOINT_URL,
     CDN_ENDPOINT_URL
 })
\ No newline at end of file
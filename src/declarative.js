@@ -0,0 +1,492 @@
+import { Url } from "./utils.js"
+import log from "./log.js"
+import { Chapter } from "./models/chapter.js"
+import { CaptureMode } from "./capture.js"
+import { ContentType } from "./capabilities.js"
+
+/**
+ * Declarative connectors: a JSON / YAML definition turned into a connector factory
+ *
+ * name: mysite
+ * endpoint: https://mysite.com
+ * cdn: https://cdn.mysite.com                 # optional, enables brute with brute: true
+ * languages: [it]
+ * contentType: manga
+ * canary: "One Piece"                         # optional, health check search (see health.js)
+ * search:
+ *   url: "{endpoint}/archive?keyword={title}&page={page}"   # {page} is 1, search follows the page arg
+ *   results: ".comics-grid > .entry"
+ *   fields:
+ *     title: "a.manga-title"                    # text of the first match
+ *     link: { selector: "a.manga-title", attribute: href }
+ *   pages: { selector: ".page-item.last > a.page-link", transform: int }
+ * details:
+ *   root: ".comic-info"                         # missing root = not on a detail page
+ *   fields:
+ *     genres: { selector: ".badge", all: true }
+ *     author: { selector: ".meta-data > .col-12", index: 2, child: ":nth-child(2)" }
+ *     year: { selector: ".meta-data > .col-12", index: 7, child: ":nth-child(2)", transform: int }
+ * chapters:
+ *   volumes: ".volume-element"                  # optional, one volume otherwise
+ *   chapter: "a.chap"
+ *   fields:
+ *     link: { attribute: href }                 # no selector = the chapter element itself
+ *     number: "span"
+ *     date: { selector: "i", transform: date }
+ *   order: desc                                 # newest first on the page
+ * pages:
+ *   image: { selector: "#page img.img-fluid", attribute: src }
+ *   count: { selector: ".page.custom-select option:checked", regex: "/(\\d+)", transform: int }
+ *   pagination: { strategy: select, selector: ".page.custom-select", delay: 1500 }
+ *
+ * Field specs are a selector string or { selector, attribute, all, index, child, regex, transform, value }
+ * A complete example is in tests/fixtures/declarative/connector.yaml
+ */
+
+/**
+ * Pagination strategies for the reader
+ */
+export const PaginationStrategy = {
+    SELECT: 'select',     // <select> with one option per page, pick the next option
+    CLICK: 'click',       // Click a "next" element
+    KEYBOARD: 'keyboard', // Press a key (e.g. ArrowRight)
+    URL: 'url'            // Increment an url argument (arg) or the file index (file: true) and navigate
+}
+
+const MONTHS = {
+    it: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno',
+        'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+    en: ['january', 'february', 'march', 'april', 'may', 'june',
+        'july', 'august', 'september', 'october', 'november', 'december']
+}
+
+// "20 Gennaio 2019", "January 20, 2019" or anything Date understands
+const parseDate = (value) => {
+    const text = value?.toLowerCase()
+    if (!text) return null
+
+    for (const months of Object.values(MONTHS)) {
+        const match = text.match(/(\d{1,2})\s+([a-z]+)\s+(\d{4})/) || text.match(/([a-z]+)\s+(\d{1,2}),?\s+(\d{4})/)
+        if (!match) continue
+
+        const [day, month] = isNaN(match[1]) ? [match[2], match[1]] : [match[1], match[2]]
+        const idx = months.indexOf(month)
+        if (idx >= 0) return new Date(Date.UTC(parseInt(match[3]), idx, parseInt(day)))
+    }
+
+    const date = new Date(value)
+    return isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Value transforms, applied in order after regex
+ */
+export const Transforms = {
+    trim: (value) => typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : value,
+    lower: (value) => typeof value === 'string' ? value.toLowerCase() : value,
+    int: (value) => {
+        const match = String(value ?? '').match(/\d[\d.,]*/)
+        return match ? parseInt(match[0].replace(/[.,]/g, '')) : null
+    },
+    float: (value) => {
+        const match = String(value ?? '').match(/\d+(?:[.,]\d+)?/)
+        return match ? parseFloat(match[0].replace(',', '.')) : null
+    },
+    split: (value) => typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value,
+    date: (value) => parseDate(value),
+    banner: (value) => value ? { full_size: value } : null,
+    url: (value, context) => {
+        if (!value) return null
+        try {
+            return new URL(value, context.base).href
+        } catch {
+            return value
+        }
+    }
+}
+
+const FIELD_KEYS = ['selector', 'attribute', 'all', 'index', 'child', 'regex', 'transform', 'value']
+
+/**
+ * Normalize a field spec (string selector or object)
+ */
+const toSpec = (spec) => typeof spec === 'string' ? { selector: spec } : { ...spec }
+
+const transformsOf = (spec) => [].concat(spec.transform || [])
+
+/**
+ * Read a field from an element (or page) handle
+ * @param {ElementHandle|Page} root - Where the selector is looked up
+ * @param {Object|string} spec - Field spec
+ * @param {Object} context - { base } for the url transform
+ */
+export async function readField(root, spec, context = {}) {
+    spec = toSpec(spec)
+    if (spec.value !== undefined) return spec.value
+    if (!root) return null
+
+    let elements = spec.selector ? await root.$$(spec.selector) : [root]
+    if (spec.index !== undefined) elements = elements[spec.index] ? [elements[spec.index]] : []
+    if (spec.child) elements = (await Promise.all(elements.map(el => el.$(spec.child)))).filter(Boolean)
+    if (!spec.all) elements = elements.slice(0, 1)
+
+    const regex = spec.regex ? new RegExp(spec.regex, 'i') : null
+
+    const values = []
+    for (const el of elements) {
+        let value = spec.attribute ? await el.getAttribute(spec.attribute) : await el.textContent()
+
+        if (regex && value !== null) {
+            const match = String(value).match(regex)
+            value = match ? (match[1] ?? match[0]) : null
+        }
+
+        for (const name of ['trim', ...transformsOf(spec)]) {
+            value = Transforms[name](value, context)
+        }
+
+        if (value !== null && value !== undefined && value !== '') values.push(value)
+    }
+
+    return spec.all ? values.flat() : values[0] ?? null
+}
+
+/**
+ * Check a definition, collecting every problem
+ * @throws {Error} When the definition can't produce a connector
+ */
+export function validateDefinition(definition) {
+    const errors = []
+    const name = definition?.name
+
+    const checkFields = (path, fields) => {
+        if (!fields || typeof fields !== 'object') {
+            errors.push(`${path} must be an object of field specs`)
+            return
+        }
+        for (const [key, spec] of Object.entries(fields)) {
+            if (typeof spec === 'string') continue
+            if (!spec || typeof spec !== 'object') {
+                errors.push(`${path}.${key} must be a selector or a field spec`)
+                continue
+            }
+            const unknown = Object.keys(spec).filter(prop => !FIELD_KEYS.includes(prop))
+            if (unknown.length) errors.push(`${path}.${key} has unknown keys: ${unknown.join(', ')}`)
+
+            const transforms = transformsOf(spec).filter(transform => !Transforms[transform])
+            if (transforms.length) errors.push(`${path}.${key} has unknown transforms: ${transforms.join(', ')}`)
+
+            if (spec.regex) {
+                try {
+                    new RegExp(spec.regex)
+                } catch (error) {
+                    errors.push(`${path}.${key} has an invalid regex: ${error.message}`)
+                }
+            }
+        }
+    }
+
+    if (!name || typeof name !== 'string') errors.push('name is required')
+    if (!/^https?:\/\//.test(definition?.endpoint || '')) errors.push('endpoint must be an http(s) url')
+
+    const { search, details, chapters, pages } = definition || {}
+
+    if (search) {
+        if (!search.url?.includes('{title}')) errors.push('search.url must contain {title}')
+        if (!search.results) errors.push('search.results selector is required')
+        checkFields('search.fields', search.fields)
+        if (search.fields && (!search.fields.title || !search.fields.link)) {
+            errors.push('search.fields needs title and link')
+        }
+        if (search.pages) checkFields('search', { pages: search.pages })
+    }
+
+    if (details) checkFields('details.fields', details.fields)
+
+    if (chapters) {
+        if (!chapters.chapter) errors.push('chapters.chapter selector is required')
+        checkFields('chapters.fields', chapters.fields)
+        if (chapters.fields && !chapters.fields.link) errors.push('chapters.fields needs link')
+        if (chapters.order && !['asc', 'desc'].includes(chapters.order)) errors.push('chapters.order must be asc or desc')
+    }
+
+    if (pages) {
+        if (!chapters) errors.push('pages needs chapters')
+        if (!pages.image) errors.push('pages.image is required')
+        else checkFields('pages', { image: pages.image, ...(pages.count ? { count: pages.count } : {}) })
+
+        const pagination = pages.pagination
+        if (pagination) {
+            if (!Object.values(PaginationStrategy).includes(pagination.strategy)) {
+                errors.push(`pages.pagination.strategy must be one of ${Object.values(PaginationStrategy).join(', ')}`)
+            }
+            if ([PaginationStrategy.SELECT, PaginationStrategy.CLICK].includes(pagination.strategy) && !pagination.selector) {
+                errors.push(`pages.pagination.selector is required for ${pagination.strategy}`)
+            }
+            if (pagination.strategy === PaginationStrategy.KEYBOARD && !pagination.key) {
+                errors.push('pages.pagination.key is required for keyboard')
+            }
+            // A key press can't tell the last page, the count is what stops the chapter
+            if (pagination.strategy === PaginationStrategy.KEYBOARD && !pages.count) {
+                errors.push('pages.count is required for keyboard')
+            }
+            if (pagination.strategy === PaginationStrategy.URL && !pagination.arg && !pagination.file) {
+                errors.push('pages.pagination needs arg or file for url')
+            }
+        }
+    }
+
+    if (definition?.brute && !definition.cdn) errors.push('brute needs cdn')
+
+    if (errors.length) {
+        throw new Error(`Invalid connector definition${name ? ` ${name}` : ''}: ${errors.join('; ')}`)
+    }
+
+    return definition
+}
+
+/**
+ * Turn a definition into a connector factory, same shape as the ones in src/connector
+ * @param {Object} definition - Parsed JSON / YAML definition
+ * @returns {Function} (driver) => connector
+ */
+export function createDeclarativeConnector(definition) {
+    validateDefinition(definition)
+
+    const {
+        name,
+        endpoint: ENDPOINT_URL,
+        cdn: CDN_ENDPOINT_URL = ENDPOINT_URL,
+        languages = ['*'],
+        contentType = ContentType.MANGA,
+        search,
+        details,
+        chapters,
+        pages
+    } = definition
+
+    const pagination = pages?.pagination
+
+    const connectorFn = (driver) => {
+        const base = () => driver.page?.url() || ENDPOINT_URL
+
+        const connector = {
+            ...driver,
+            name,
+
+            capabilities: {
+                search: !!search,
+                metadata: details ? Object.keys(details.fields) : false,
+                chapters: !!chapters,
+                pages: !!pages,
+                pageCount: !!pages?.count,
+                pageNavigation: !!pagination,
+                brute: !!definition.brute,
+                languages,
+                contentType
+            },
+
+            ENDPOINT_URL,
+            CDN_ENDPOINT_URL
+        }
+
+        if (definition.captureMode) connector.captureMode = definition.captureMode === CaptureMode.NETWORK
+            ? CaptureMode.NETWORK
+            : CaptureMode.DOM
+        if (definition.capturePattern) connector.capturePattern = definition.capturePattern
+        if (definition.canary) connector.canary = definition.canary
+
+        if (search) {
+            connector.getSearchUrl = (title) => Url.fromString(search.url
+                .replace(/\{endpoint\}/g, ENDPOINT_URL)
+                .replace(/\{title\}/g, encodeURIComponent(title))
+                .replace(/\{page\}/g, 1))
+
+            connector.getSearchResults = async () => {
+                // Client-rendered sites fill results after domcontentloaded, no results is not an error
+                await driver.page.waitForSelector(search.results, { timeout: 5000 }).catch(() => null)
+                const entries = await driver.page.$$(search.results)
+
+                const results = await Promise.all(entries.map(async (entry) => {
+                    const item = {}
+                    for (const [key, spec] of Object.entries(search.fields)) {
+                        item[key] = await readField(entry, spec, { base: base() })
+                    }
+                    item.link = Transforms.url(item.link, { base: base() })
+                    return item
+                }))
+
+                return results.filter(item => item.title && item.link)
+            }
+
+            if (search.pages) {
+                connector.getPages = async () => Transforms.int(await readField(driver.page, search.pages))
+            }
+        }
+
+        if (details) {
+            /**
+             * Get field from book detail page (must be on detail page)
+             */
+            connector.getEntryField = async (key, only_keys=false) => {
+                if (only_keys) return Object.keys(details.fields)
+
+                const spec = details.fields[key]
+                if (!spec) return null
+
+                const root = details.root ? await driver.page.$(details.root) : driver.page
+                if (!root) {
+                    log.warn('Not on book detail page')
+                    return null
+                }
+
+                try {
+                    log.debug('Getting field', { key, name })
+                    return await readField(root, spec, { base: base() })
+                } catch (err) {
+                    log.error(`Failed to get field ${key}`, err, { key, name })
+                    return null
+                }
+            }
+        }
+
+        if (chapters) {
+            connector.getAllChapterLinks = async () => {
+                log.debug('Retrieving all chapter links')
+
+                const containers = chapters.volumes ? await driver.page.$$(chapters.volumes) : [driver.page]
+                const volumes = []
+
+                for (const container of containers) {
+                    const elements = await container.$$(chapters.chapter)
+                    const list = []
+
+                    for (const el of elements) {
+                        try {
+                            const link = Transforms.url(await readField(el, chapters.fields.link), { base: base() })
+                            if (!link) continue
+
+                            const number = chapters.fields.number ? await readField(el, chapters.fields.number) : null
+                            list.push(new Chapter({
+                                url: Url.fromString(link),
+                                number,
+                                title: chapters.fields.title ? await readField(el, chapters.fields.title) : number,
+                                language: chapters.fields.language
+                                    ? await readField(el, chapters.fields.language)
+                                    : (languages.length === 1 && languages[0] !== '*' ? languages[0] : null),
+                                group: chapters.fields.group ? await readField(el, chapters.fields.group) : null,
+                                uploadedAt: chapters.fields.date ? await readField(el, chapters.fields.date) : null
+                            }))
+                        } catch (error) {
+                            log.error('Failed to get chapter link', error)
+                        }
+                    }
+
+                    if (list.length) volumes.push({ chapters: chapters.order === 'desc' ? list.reverse() : list })
+                }
+
+                const ordered = chapters.order === 'desc' ? volumes.reverse() : volumes
+
+                log.success('Retrieved volumes and chapters', {
+                    volumes: ordered.length,
+                    totalChapters: ordered.reduce((sum, v) => sum + v.chapters.length, 0)
+                })
+
+                return ordered.map((vol, i) => {
+                    vol.chapters.forEach(chapter => { chapter.volume = i + 1 })
+                    return { ...vol, volume: i + 1 }
+                })
+            }
+        }
+
+        if (pages) {
+            const image = toSpec(pages.image)
+
+            connector.getPage = async () => {
+                try {
+                    await driver.page.waitForSelector(image.selector, { timeout: 10000, state: 'visible' })
+                    const src = await readField(driver.page, { ...image, attribute: image.attribute || 'src' })
+                    return src ? { src: Transforms.url(src, { base: base() }) } : null
+                } catch (error) {
+                    log.error('Failed to get page image', error)
+                    return null
+                }
+            }
+
+            if (pages.count) {
+                connector.getPageCount = async () => {
+                    try {
+                        const count = await readField(driver.page, pages.count)
+                        return count === null ? null : Transforms.int(count)
+                    } catch (error) {
+                        log.debug('Failed to get page count', { error: error.message })
+                        return null
+                    }
+                }
+            }
+        }
+
+        if (pagination) {
+            connector.getNextPage = async () => {
+                try {
+                    const moved = await nextPage(driver.page, pagination)
+                    if (moved && pagination.delay) await driver.page.waitForTimeout(pagination.delay)
+                    return moved
+                } catch (error) {
+                    log.debug('Failed to navigate to next page', { error: error.message })
+                    return false
+                }
+            }
+        }
+
+        return connector
+    }
+
+    return connectorFn
+}
+
+/**
+ * Move the reader to the next page
+ * @returns {Promise<boolean>} false when there is no next page
+ */
+async function nextPage(page, pagination) {
+    switch (pagination.strategy) {
+        case PaginationStrategy.SELECT: {
+            const select = await page.$(pagination.selector)
+            if (!select) return false
+
+            const next = await select.evaluate(el => {
+                const option = el.options[el.selectedIndex + 1]
+                return option ? option.value : null
+            })
+            if (next === null) return false
+
+            await select.selectOption(next)
+            return true
+        }
+        case PaginationStrategy.CLICK: {
+            const button = await page.$(pagination.selector)
+            if (!button || !(await button.isEnabled()) || !(await button.isVisible())) return false
+
+            await button.click()
+            return true
+        }
+        case PaginationStrategy.KEYBOARD: {
+            await page.keyboard.press(pagination.key)
+            return true
+        }
+        case PaginationStrategy.URL: {
+            const url = Url.fromString(page.url())
+            if (pagination.file) url.incFile()
+            else if (url.hasArg(pagination.arg)) url.incArg(pagination.arg)
+            else url.AddArgs({ [pagination.arg]: 2 })
+
+            const response = await page.goto(url.render(), { waitUntil: 'domcontentloaded', timeout: 30000 })
+            return !!response?.ok()
+        }
+        default:
+            return false
+    }
+}
+
+export default createDeclarativeConnector
@@ -0,0 +1,259 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'crypto'
+import log from './log.js'
+import { SessionMode } from './session.js'
+import { CaptureMode } from './capture.js'
+
+/**
+ * Known image signatures, checked against the first bytes of a download
+ */
+const SIGNATURES = [
+    { ext: 'jpg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { ext: 'png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { ext: 'gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { ext: 'webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] }, // RIFF....WEBP
+    { ext: 'avif', offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, 0x66] }, // ftypavif
+    { ext: 'bmp', offset: 0, bytes: [0x42, 0x4D] }
+]
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/bmp': 'bmp'
+}
+
+/**
+ * Known document signatures (book files)
+ * zip based formats are told apart by their first entry, see detectFileFormat
+ */
+const FILE_SIGNATURES = [
+    { ext: 'pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46] }, // %PDF
+    { ext: 'mobi', offset: 60, bytes: [0x42, 0x4F, 0x4F, 0x4B, 0x4D, 0x4F, 0x42, 0x49] }, // BOOKMOBI
+    { ext: 'djvu', offset: 0, bytes: [0x41, 0x54, 0x26, 0x54, 0x46, 0x4F, 0x52, 0x4D] }, // AT&TFORM
+    { ext: 'zip', offset: 0, bytes: [0x50, 0x4B, 0x03, 0x04] }
+]
+
+const matchSignature = (buffer, signatures) => signatures.find(({ offset, bytes }) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, i) => buffer[offset + i] === byte)
+)
+
+/**
+ * Work out the format of a downloaded book file from its first bytes
+ * EPUB is a zip whose first entry is an uncompressed "mimetype" file
+ * @param {Buffer} buffer - File bytes
+ * @returns {string|null} Extension without leading dot, 'html' for web pages (mirror / captcha pages)
+ */
+export function detectFileFormat(buffer) {
+    if (!buffer || !buffer.length) return null
+
+    const match = matchSignature(buffer, FILE_SIGNATURES)
+    if (match?.ext === 'zip') {
+        return buffer.subarray(30, 58).toString('latin1') === 'mimetypeapplication/epub+zip' ? 'epub' : 'zip'
+    }
+    if (match) return match.ext
+
+    const head = buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase()
+    if (head.startsWith('<!doctype html') || head.startsWith('<html')) return 'html'
+
+    return null
+}
+
+/**
+ * Work out the real extension of an image
+ * Magic bytes win over the content type, which wins over the url
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} contentType - Response content type (optional)
+ * @param {string} src - Source url (optional)
+ * @returns {string|null} Extension without leading dot
+ */
+export function detectExtension(buffer, contentType = '', src = '') {
+    if (buffer && buffer.length) {
+        const match = matchSignature(buffer, SIGNATURES)
+        if (match) return match.ext
+    }
+
+    const mime = contentType?.split(';')[0].trim().toLowerCase()
+    if (mime && MIME_EXTENSIONS[mime]) return MIME_EXTENSIONS[mime]
+
+    const fromUrl = src?.split(/[?#]/)[0].match(/\.([a-zA-Z0-9]{2,4})$/)
+    if (fromUrl) {
+        const ext = fromUrl[1].toLowerCase()
+        return ext === 'jpeg' ? 'jpg' : ext
+    }
+
+    return null
+}
+
+/**
+ * Fetches page images through the driver's browser context
+ * and writes them to disk following a Path pattern
+ */
+export class ImageDownloader {
+    constructor(pathParser, opt = {}) {
+        this.path = pathParser
+        this.opt = {
+            timeout: opt.timeout || 30e3,
+            retries: opt.retries ?? 2,
+            ...opt
+        }
+    }
+
+    /**
+     * Fetch image bytes, sharing cookies and proxy with the browser page
+     * @param {Object} driver - Connector instance (needs driver.page)
+     * @param {string} src - Image url
+     * @param {Object} options
+     * @param {string} options.referer - Referer header (usually the chapter url)
+     * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+     * @throws {Error} When replaying a session: page.request can't be served from the archive
+     */
+    async fetch(driver, src, { referer } = {}) {
+        if (!src) throw new Error('Missing image source')
+
+        // Inline images carry their own bytes
+        if (src.startsWith('data:')) return this.fromDataUrl(src)
+
+        // Blob urls only exist inside the page that created them
+        if (src.startsWith('blob:')) return await this.fetchFromPage(driver, src)
+
+        // Replayed pages have no network, only what network capture took from the archive is available
+        if (driver.session === SessionMode.REPLAY) {
+            throw new Error(`Cannot download ${src} while replaying a session, use capture mode ${CaptureMode.NETWORK}`)
+        }
+
+        let lastError = null
+
+        for (let attempt = 0; attempt <= this.opt.retries; attempt++) {
+            try {
+                const response = await driver.page.request.get(src, {
+                    headers: referer ? { referer } : {},
+                    timeout: this.opt.timeout
+                })
+
+                if (!response.ok()) {
+                    const error = new Error(`HTTP ${response.status()} for ${src}`)
+                    error.status = response.status()
+                    throw error
+                }
+
+                const buffer = await response.body()
+                const contentType = response.headers()['content-type'] || ''
+
+                return { buffer, contentType }
+            } catch (error) {
+                lastError = error
+                log.debug('Image fetch attempt failed', {
+                    src,
+                    attempt: attempt + 1,
+                    error: error.message
+                })
+
+                // Client errors won't change on retry
+                if (error.status >= 400 && error.status < 500) break
+            }
+        }
+
+        throw lastError
+    }
+
+    /**
+     * Pull the bytes behind a blob: url from inside the page context
+     * Falls back to redrawing the rendered <img> on a canvas when the blob was already revoked
+     * @param {Object} driver - Connector instance (needs driver.page)
+     * @param {string} src - blob: url, as found on the <img> element
+     * @returns {Promise<{ buffer: Buffer, contentType: string }>}
+     */
+    async fetchFromPage(driver, src) {
+        const { data, type } = await driver.page.evaluate(async (blobUrl) => {
+            const toBase64 = (arrayBuffer) => {
+                const bytes = new Uint8Array(arrayBuffer)
+                let binary = ''
+                for (let i = 0; i < bytes.length; i += 0x8000) {
+                    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000))
+                }
+                return btoa(binary)
+            }
+
+            try {
+                const blob = await (await fetch(blobUrl)).blob()
+                return { data: toBase64(await blob.arrayBuffer()), type: blob.type }
+            } catch {
+                const img = Array.from(document.images).find(img => img.src === blobUrl)
+                if (!img || !img.naturalWidth) throw new Error('Blob image not found in page')
+
+                const canvas = document.createElement('canvas')
+                canvas.width = img.naturalWidth
+                canvas.height = img.naturalHeight
+                canvas.getContext('2d').drawImage(img, 0, 0)
+
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+                return { data: toBase64(await blob.arrayBuffer()), type: 'image/png' }
+            }
+        }, src)
+
+        const buffer = Buffer.from(data, 'base64')
+        if (!buffer.length) throw new Error(`Empty blob for ${src}`)
+
+        log.debug('Captured blob image from page', { src, bytes: buffer.length, type })
+
+        return { buffer, contentType: type }
+    }
+
+    /**
+     * Decode a data: url
+     */
+    fromDataUrl(src) {
+        const match = src.match(/^data:([^;,]*)(;base64)?,(.*)$/s)
+        if (!match) throw new Error('Invalid data url')
+
+        const [, contentType, base64, payload] = match
+        const buffer = base64
+            ? Buffer.from(payload, 'base64')
+            : Buffer.from(decodeURIComponent(payload))
+
+        return { buffer, contentType }
+    }
+
+    /**
+     * Write image bytes under the resolved path
+     * @param {Buffer} buffer - Image bytes
+     * @param {Object} vars - Path variables ($title, $vol, $chap, $page)
+     * @param {Object} meta - { contentType, src } used to detect the extension, or { ext } when already known
+     * @returns {Promise<{ path: string, bytes: number, ext: string, hash: string }>}
+     */
+    async save(buffer, vars, { contentType, src, ext: knownExt } = {}) {
+        const ext = knownExt || detectExtension(buffer, contentType, src) || this.path.defaultExt
+        const filePath = await this.path.resolveAndEnsure({ ...vars, ext })
+        const hash = createHash('sha256').update(buffer).digest('hex')
+
+        await fs.writeFile(filePath, buffer)
+
+        log.debug('Page saved', { path: filePath, bytes: buffer.length, ext })
+
+        return { path: filePath, bytes: buffer.length, ext, hash }
+    }
+
+    /**
+     * Fetch and save a single page
+     * With options.capture, bytes the browser already received are reused before downloading again
+     */
+    async download(driver, src, vars, options = {}) {
+        const captured = options.capture ? await options.capture.take(src) : null
+
+        const { buffer, contentType } = captured || await this.fetch(driver, src, options)
+        const saved = await this.save(buffer, vars, { contentType, src: captured?.url || src })
+
+        return {
+            ...saved,
+            ...(captured && { url: captured.url }),
+            capturedFrom: captured ? 'network' : 'dom'
+        }
+    }
+}
+
+export default ImageDownloader
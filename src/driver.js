@@ -2,9 +2,14 @@ import { chromium, devices } from "playwright"
 import { Url } from "./utils.js"
 import log from "./log.js"
 import { ContextMode } from "./navigation.js"
+import { CaptureMode, DEFAULT_CAPTURE_MODE, ImageCapture } from "./capture.js"
+import { SessionMode, parseSession, prepareSession } from "./session.js"
+import { validateConnector, getCapabilities } from "./capabilities.js"
 
 import mangaworld from "./connector/mangaworld.js"
 import mangadex from "./connector/mangadex.js"
+import animeclick from "./connector/animeclick.js"
+import annas from "./connector/annas.js"
 
 export const Browsers = {
     chromium: {
@@ -16,15 +21,68 @@ export const Browsers = {
 export const Connectors = {
     mangaworld,
     mangadex,
+    animeclick,
+    annas,
 }
 
-const driverApis = (page, connector) => ({
+// Shipped with the repo, plugins can't replace them
+export const BUILTIN_CONNECTORS = Object.keys(Connectors)
+
+/**
+ * Register a connector factory (plugins, see loader.js)
+ * Its declarations are validated against the connector contract first
+ * @param {string} connectorId - Connector id
+ * @param {Function} connectorFn - Connector factory (driver) => connector
+ * @returns {Object} Normalized capabilities
+ */
+export function registerConnector(connectorId, connectorFn) {
+    if (BUILTIN_CONNECTORS.includes(connectorId)) {
+        throw new Error(`Connector ${connectorId} is built in and can't be replaced`)
+    }
+    if (typeof connectorFn !== 'function') {
+        throw new Error(`Connector ${connectorId} must export a factory function`)
+    }
+
+    const connector = connectorFn({ page: null, Url, log, name: connectorId })
+    if (typeof connector?.ENDPOINT_URL !== 'string' || !connector.ENDPOINT_URL) {
+        throw new Error(`Invalid connector ${connectorId}: ENDPOINT_URL is required`)
+    }
+
+    const capabilities = validateConnector({ name: connectorId, ...connector })
+    Connectors[connectorId] = connectorFn
+
+    return capabilities
+}
+
+/**
+ * Remove a registered plugin connector
+ */
+export function unregisterConnector(connectorId) {
+    if (BUILTIN_CONNECTORS.includes(connectorId)) {
+        throw new Error(`Connector ${connectorId} is built in and can't be removed`)
+    }
+    delete Connectors[connectorId]
+}
+
+const driverApis = (page, connector, opt = {}) => ({
     page,
     Url,
     log,
     name: connector.name,
+    endpoint: opt.endpoint || null // Site copy to use instead of ENDPOINT_URL, for connectors reading it
 })
 
+/**
+ * Connector instance without a page, for its declarations (capabilities, ENDPOINT_URL, ...)
+ */
+export function describeConnector(connectorId) {
+    const connectorFn = Connectors[connectorId]
+    if (!connectorFn) {
+        throw new Error(`Unknown connector: ${connectorId}. Valid: ${Object.keys(Connectors).join(', ')}`)
+    }
+    return connectorFn({ page: null, Url, log, name: connectorId })
+}
+
 /**
  * Manages a single browser instance with connector
  */
@@ -39,16 +97,44 @@ export class Driver {
         this.name = Connectors[connector_id]?.name || 'unknown'
         this.connector = null
         this.contextMode = opt.contextMode || ContextMode.SINGLE
+        this.captureMode = opt.captureMode || null // Connector default if null
+        this.capture = null
+        this.session = parseSession(opt.session) // Record / replay (see session.js), null when live
+        this.sessionPath = null
+
+        // A recording is written when its context closes, one context keeps it in one archive
+        if (this.session && this.contextMode === ContextMode.MULTI) {
+            log.warn('Session recording and replay use a single context', { connector: connector_id, session: this.session.mode })
+            this.contextMode = ContextMode.SINGLE
+        }
     }
 
     isValid() {
         return !!this.connector && !!this.browser
     }
 
+    /**
+     * Resolved capture mode: explicit option, then connector declaration, then CAPTURE_MODE (DOM by default)
+     */
+    getCaptureMode() {
+        return this.captureMode || this.connector?.captureMode || DEFAULT_CAPTURE_MODE
+    }
+
     /**
      * Rebuilds context with new proxy, if available
+     * With opt.session, the context records its responses to a HAR archive or replays them from it
+     * page.request downloads go around the archive: not recorded, and refused when replaying (see ImageDownloader.fetch)
      */
     async build(proxy = this.opt.proxy) {
+        // In SINGLE mode, warn if trying to rebuild with existing browser
+        if (this.browser && this.contextMode === ContextMode.SINGLE) {
+            log.warn('Attempting to recreate context in single-context mode with browser already built.')
+            return
+        }
+
+        // Before launching, a missing replay archive fails without a browser to clean up
+        const session = this.session && await prepareSession(this.session, this.connector_id)
+
         // Launch browser if not exists (both SINGLE and MULTI modes need it)
         if (!this.browser) {
             const browserType = Browsers[this.browserName].driver
@@ -57,14 +143,11 @@ export class Driver {
                 connector: this.name,
                 contextMode: this.contextMode 
             })
-        } else if (this.contextMode === ContextMode.SINGLE) {
-            // In SINGLE mode, warn if trying to rebuild with existing browser
-            log.warn('Attempting to recreate context in single-context mode with browser already built.')
-            return
         }
 
         // Close current context (MULTI mode will do this repeatedly)
         if (this.ctx) {
+            this.capture = null
             await this.ctx.close()
             log.debug('Context closed', { connector: this.name })
         }
@@ -73,7 +156,8 @@ export class Driver {
         const contextOptions = {
             ...devices['chrome'],
             bypassCSP: true,
-            ...(proxy && proxy.isValid() ? {
+            ...session?.contextOptions,
+            ...(proxy && proxy.isValid() && !session ? {
                 proxy: {
                     server: `http://${proxy.server}`,
                     username: proxy.user,
@@ -83,20 +167,26 @@ export class Driver {
         }
 
         this.ctx = await this.browser.newContext(contextOptions)
+        if (session) {
+            await session.attach(this.ctx)
+            this.sessionPath = session.path
+        }
         this.page = await this.ctx.newPage()
 
         // Update connector reference to new page
         const connectorFn = Connectors[this.connector_id]
         this.connector = {
-            ...connectorFn(driverApis(this.page, connectorFn)),
+            ...connectorFn(driverApis(this.page, connectorFn, this.opt)),
             browser: this.browser,
-            ctx: this.ctx
+            ctx: this.ctx,
+            session: this.session?.mode || SessionMode.LIVE
         }
 
         log.debug('Context created', { 
             connector: this.name,
             proxy: proxy?.server || 'none',
-            contextMode: this.contextMode
+            contextMode: this.contextMode,
+            session: this.session?.mode || SessionMode.LIVE
         })
     }
 
@@ -104,11 +194,42 @@ export class Driver {
         return this.connector
     }
 
+    /**
+     * Start recording image responses on the current page
+     * Returns null in DOM mode, so callers fall back to the <img> src
+     */
+    async startCapture() {
+        if (this.getCaptureMode() !== CaptureMode.NETWORK || !this.page) return null
+
+        await this.stopCapture()
+
+        this.capture = new ImageCapture(this.page, {
+            filter: this.connector?.capturePattern || null
+        })
+        await this.capture.start()
+
+        return this.capture
+    }
+
+    async stopCapture() {
+        if (!this.capture) return
+
+        await this.capture.stop()
+        this.capture = null
+    }
+
     async close() {
+        this.capture = null
+
         if (this.ctx) {
+            // Closing the context writes a recorded session
             await this.ctx.close()
             this.ctx = null
             this.page = null
+
+            if (this.session?.mode === SessionMode.RECORD) {
+                log.info('Session saved', { connector: this.name, path: this.sessionPath })
+            }
         }
         
         if (this.browser) {
@@ -126,6 +247,7 @@ export class Driver {
 export class DriverPool {
     constructor(opt = {}) {
         this.drivers = new Map() // connector_id -> Driver
+        this.building = new Map() // connector_id -> Promise of the driver being added
         this.opt = { ...opt }
         this.contextMode = opt.contextMode || ContextMode.SINGLE
     }
@@ -153,27 +275,42 @@ export class DriverPool {
 
     /**
      * Add driver to pool
+     * Concurrent calls for the same connector share one build
      */
     async addDriver(connector_id, browserName, proxy = null, opt = {}) {
         if (this.drivers.has(connector_id)) {
             log.warn('Driver already exists for connector', { connector: connector_id })
             return
         }
+        if (this.building.has(connector_id)) return await this.building.get(connector_id)
 
-        const driver = new Driver(connector_id, browserName, {
-            ...this.opt,
-            ...opt,
-            proxy,
-            contextMode: this.contextMode
-        })
+        const building = (async () => {
+            // Check the connector against its declared capabilities before launching a browser
+            const capabilities = validateConnector(describeConnector(connector_id))
 
-        await driver.build()
-        this.drivers.set(connector_id, driver)
+            const driver = new Driver(connector_id, browserName, {
+                ...this.opt,
+                ...opt,
+                proxy,
+                contextMode: this.contextMode
+            })
 
-        log.debug('Driver added to pool', {
-            connector: driver.name,
-            poolSize: this.drivers.size
-        })
+            await driver.build()
+            this.drivers.set(connector_id, driver)
+
+            log.debug('Driver added to pool', {
+                connector: driver.name,
+                capabilities,
+                poolSize: this.drivers.size
+            })
+        })()
+
+        this.building.set(connector_id, building)
+        try {
+            await building
+        } finally {
+            this.building.delete(connector_id)
+        }
     }
 
     /**
@@ -207,6 +344,40 @@ export class DriverPool {
         await driver.build(proxy)
     }
 
+    /**
+     * Start image capture for connector (null when it reads pages from the DOM)
+     */
+    async startCapture(connectorId) {
+        const driver = this.getDriver(connectorId)
+
+        if (!driver) {
+            throw new Error(`Driver not found: ${connectorId}`)
+        }
+
+        return await driver.startCapture()
+    }
+
+    /**
+     * Stop image capture for connector
+     */
+    async stopCapture(connectorId) {
+        const driver = this.getDriver(connectorId)
+        if (driver) await driver.stopCapture()
+    }
+
+    /**
+     * Close and remove a connector's driver (e.g. after its plugin was reloaded)
+     */
+    async removeDriver(connectorId) {
+        const driver = this.getDriver(connectorId)
+        if (!driver) return
+
+        await driver.close()
+        this.drivers.delete(connectorId)
+
+        log.debug('Driver removed from pool', { connector: connectorId, poolSize: this.drivers.size })
+    }
+
     /**
      * Get all connector IDs
      */
@@ -234,7 +405,11 @@ export class DriverPool {
             drivers[connectorId] = {
                 name: driver.name,
                 valid: driver.isValid(),
-                contextMode: driver.contextMode
+                contextMode: driver.contextMode,
+                captureMode: driver.getCaptureMode(),
+                session: driver.session ? { mode: driver.session.mode, path: driver.sessionPath } : null,
+                capabilities: getCapabilities(driver.getConnector()),
+                capture: driver.capture?.getStatus() || null
             }
         })
 
@@ -0,0 +1,89 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { ZipWriter } from './zip.js'
+import { escapeXml, clean } from './xml.js'
+
+// "Chapter 10.5", or "Chapter 10.5: <title>" when the connector knows the chapter title
+const chapterTitle = (unit) => {
+    const title = clean(unit.chapters?.[0]?.chapter?.title)
+    const label = `Chapter ${unit.number}`
+    return title && !title.includes(String(unit.number)) ? `${label}: ${title}` : label
+}
+
+/**
+ * Build ComicInfo.xml (Anansi ComicInfo v2 schema, as read by Komga / Kavita)
+ * @param {Object} unit - Export unit ({ group, volume, chapterIndex, number, chapters, pages })
+ * @param {Object} context - { title, metadata, direction, chapterUrl }
+ * @returns {string} XML document
+ */
+export function buildComicInfo(unit, context = {}) {
+    const metadata = context.metadata || {}
+    const series = clean(metadata.title) || context.title
+    const year = parseInt(clean(metadata.year))
+    const genres = Array.isArray(metadata.genres)
+        ? metadata.genres.map(clean).filter(Boolean).join(', ')
+        : clean(metadata.genres)
+
+    const fields = [
+        ['Title', unit.chapterIndex !== null ? chapterTitle(unit) : `Volume ${unit.volume}`],
+        ['Series', series],
+        ['Number', unit.number],
+        ['Volume', unit.volume],
+        ['Summary', clean(metadata.plot)],
+        ['Year', Number.isFinite(year) ? year : null],
+        ['Writer', clean(metadata.author)],
+        ['Penciller', clean(metadata.artist)],
+        ['Genre', genres],
+        ['Web', unit.chapterUrl || context.target],
+        ['PageCount', unit.pages.length],
+        ['LanguageISO', clean(metadata.language)],
+        ['Manga', context.direction === 'ltr' ? 'No' : 'YesAndRightToLeft']
+    ]
+
+    const lines = fields
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `  <${key}>${escapeXml(value)}</${key}>`)
+
+    const pages = unit.pages.map((page, idx) =>
+        `    <Page Image="${idx}"${idx === 0 ? ' Type="FrontCover"' : ''} ImageSize="${page.bytes || 0}" />`
+    )
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+        ...lines,
+        '  <Pages>',
+        ...pages,
+        '  </Pages>',
+        '</ComicInfo>',
+        ''
+    ].join('\n')
+}
+
+/**
+ * CBZ exporter: one archive per chapter or volume with ComicInfo.xml
+ */
+export default {
+    name: 'cbz',
+    extension: 'cbz',
+    fields: ['title', 'author', 'artist', 'genres', 'type', 'year', 'plot', 'language'],
+
+    async export(unit, context) {
+        const zip = await ZipWriter.create(context.outputPath)
+        const width = Math.max(3, String(unit.pages.length).length)
+
+        try {
+            for (const [idx, page] of unit.pages.entries()) {
+                const ext = page.ext || path.extname(page.path).slice(1)
+                await zip.add(`${String(idx + 1).padStart(width, '0')}.${ext}`, await fs.readFile(page.path))
+            }
+
+            await zip.add('ComicInfo.xml', buildComicInfo(unit, context), { compress: true })
+
+            return await zip.close()
+        } catch (error) {
+            await zip.abort()
+            throw error
+        }
+    }
+}
@@ -0,0 +1,180 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'crypto'
+import { ZipWriter } from './zip.js'
+import { escapeXml, clean } from './xml.js'
+import { getImageSize, MIME_TYPES } from './image.js'
+import log from '../log.js'
+
+// Viewport used when an image header can't be read
+const FALLBACK_SIZE = { width: 800, height: 1200 }
+
+const pad = (n) => String(n).padStart(4, '0')
+
+// Deterministic urn:uuid so re-exports of the same volume keep their identity
+const bookId = (seed) => {
+    const hex = createHash('sha1').update(seed).digest('hex')
+    return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`
+}
+
+const pageXhtml = (title, image, size) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <title>${escapeXml(title)}</title>
+  <meta name="viewport" content="width=${size.width}, height=${size.height}"/>
+  <style>html, body { margin: 0; padding: 0; } img { display: block; width: 100%; height: 100%; }</style>
+</head>
+<body>
+  <img src="../images/${image}" alt=""/>
+</body>
+</html>
+`
+
+const navXhtml = (title, chapters) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(title)}</h1>
+    <ol>
+${chapters.map(({ label, href }) => `      <li><a href="${href}">${escapeXml(label)}</a></li>`).join('\n')}
+    </ol>
+  </nav>
+</body>
+</html>
+`
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`
+
+/**
+ * Build content.opf (EPUB 3 fixed layout)
+ */
+const buildOpf = (bookTitle, series, unit, context, { manifest, spine, hasCover }) => {
+    const metadata = context.metadata || {}
+    const direction = context.direction === 'ltr' ? 'ltr' : 'rtl'
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+    const year = parseInt(clean(metadata.year))
+    const genres = Array.isArray(metadata.genres) ? metadata.genres.map(clean).filter(Boolean) : []
+    const creators = [clean(metadata.author), clean(metadata.artist)]
+        .filter((value, idx, all) => value && all.indexOf(value) === idx)
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="bookid" prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="bookid">${bookId(`${context.target || series}#${unit.volume}#${unit.chapterIndex}`)}</dc:identifier>
+    <dc:title>${escapeXml(bookTitle)}</dc:title>
+    <dc:language>${escapeXml(clean(metadata.language) || 'und')}</dc:language>
+${creators.map(creator => `    <dc:creator>${escapeXml(creator)}</dc:creator>`).join('\n')}
+${metadata.plot ? `    <dc:description>${escapeXml(clean(metadata.plot))}</dc:description>` : ''}
+${genres.map(genre => `    <dc:subject>${escapeXml(genre)}</dc:subject>`).join('\n')}
+${Number.isFinite(year) ? `    <dc:date>${year}</dc:date>` : ''}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="belongs-to-collection" id="series">${escapeXml(series)}</meta>
+    <meta refines="#series" property="collection-type">series</meta>
+    <meta refines="#series" property="group-position">${unit.volume}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">portrait</meta>
+    <meta property="rendition:spread">landscape</meta>
+    <meta name="cover" content="${hasCover ? 'cover-image' : 'img-p0001'}"/>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine page-progression-direction="${direction}">
+    ${spine.join('\n    ')}
+  </spine>
+</package>
+`.replace(/\n\n+/g, '\n')
+}
+
+/**
+ * Fixed-layout EPUB 3 exporter, one book per volume by default
+ * Cover comes from the banner field, TOC has one entry per chapter
+ */
+export default {
+    name: 'epub',
+    extension: 'epub',
+    group: 'volume',
+    cover: true,
+    fields: ['title', 'author', 'artist', 'genres', 'type', 'year', 'plot', 'language', 'banner'],
+
+    async export(unit, context) {
+        const metadata = context.metadata || {}
+        const series = clean(metadata.title) || context.title
+        const bookTitle = unit.chapterIndex !== null
+            ? `${series} Vol. ${unit.volume} Ch. ${unit.number}`
+            : `${series} Vol. ${unit.volume}`
+
+        const manifest = []
+        const spine = []
+        const toc = []
+
+        const zip = await ZipWriter.create(context.outputPath)
+
+        try {
+            // mimetype must be the first entry, stored
+            await zip.add('mimetype', 'application/epub+zip')
+            await zip.add('META-INF/container.xml', CONTAINER_XML, { compress: true })
+
+            // Cover: banner when available, first page otherwise
+            const coverSize = context.cover ? getImageSize(context.cover.buffer) : null
+            const hasCover = !!coverSize && !!MIME_TYPES[coverSize.ext]
+            if (hasCover) {
+                const image = `cover.${coverSize.ext}`
+                await zip.add(`OEBPS/images/${image}`, context.cover.buffer)
+                await zip.add('OEBPS/pages/cover.xhtml', pageXhtml(bookTitle, image, coverSize), { compress: true })
+                manifest.push(`<item id="cover-image" href="images/${image}" media-type="${MIME_TYPES[coverSize.ext]}" properties="cover-image"/>`)
+                manifest.push('<item id="cover" href="pages/cover.xhtml" media-type="application/xhtml+xml"/>')
+                spine.push('<itemref idref="cover" properties="rendition:page-spread-center"/>')
+            }
+
+            let pageIdx = 0
+            for (const chapter of unit.chapters) {
+                const pages = unit.pages.filter(page => chapter.pages.includes(page))
+
+                for (const [idx, page] of pages.entries()) {
+                    pageIdx++
+                    const buffer = await fs.readFile(page.path)
+                    let size = getImageSize(buffer)
+
+                    if (!size) {
+                        log.warn('Could not read image size, using fallback viewport', { path: page.path })
+                        size = { ...FALLBACK_SIZE, ext: page.ext || page.path.split('.').pop() }
+                    }
+
+                    const id = `p${pad(pageIdx)}`
+                    const image = `${id}.${size.ext}`
+                    const isCover = !hasCover && pageIdx === 1
+
+                    await zip.add(`OEBPS/images/${image}`, buffer)
+                    await zip.add(`OEBPS/pages/${id}.xhtml`, pageXhtml(`${bookTitle} - ${pageIdx}`, image, size), { compress: true })
+                    manifest.push(`<item id="img-${id}" href="images/${image}" media-type="${MIME_TYPES[size.ext] || 'image/jpeg'}"${isCover ? ' properties="cover-image"' : ''}/>`)
+                    manifest.push(`<item id="${id}" href="pages/${id}.xhtml" media-type="application/xhtml+xml"/>`)
+                    spine.push(`<itemref idref="${id}"/>`)
+
+                    if (idx === 0) {
+                        toc.push({ label: `Chapter ${chapter.number ?? chapter.chapterIndex}`, href: `pages/${id}.xhtml` })
+                    }
+                }
+            }
+
+            await zip.add('OEBPS/content.opf', buildOpf(bookTitle, series, unit, context, { manifest, spine, hasCover }), { compress: true })
+            await zip.add('OEBPS/nav.xhtml', navXhtml(bookTitle, toc), { compress: true })
+
+            return await zip.close()
+        } catch (error) {
+            await zip.abort()
+            throw error
+        }
+    }
+}
@@ -0,0 +1,79 @@
+import { detectExtension } from '../downloader.js'
+
+export const MIME_TYPES = {
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    bmp: 'image/bmp'
+}
+
+const jpegSize = (buffer) => {
+    let offset = 2
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null
+
+        const marker = buffer[offset + 1]
+        const length = buffer.readUInt16BE(offset + 2)
+
+        // SOF0..SOF15, minus DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return {
+                height: buffer.readUInt16BE(offset + 5),
+                width: buffer.readUInt16BE(offset + 7)
+            }
+        }
+
+        offset += 2 + length
+    }
+    return null
+}
+
+const webpSize = (buffer) => {
+    const chunk = buffer.toString('ascii', 12, 16)
+
+    if (chunk === 'VP8 ') {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3FFF,
+            height: buffer.readUInt16LE(28) & 0x3FFF
+        }
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21)
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >> 14) & 0x3FFF) + 1
+        }
+    }
+    if (chunk === 'VP8X') {
+        return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1
+        }
+    }
+    return null
+}
+
+/**
+ * Read image dimensions from its header
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{ width: number, height: number, ext: string }|null} Null for unknown formats
+ */
+export function getImageSize(buffer) {
+    const ext = detectExtension(buffer)
+
+    try {
+        let size = null
+
+        if (ext === 'jpg') size = jpegSize(buffer)
+        else if (ext === 'png') size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        else if (ext === 'gif') size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        else if (ext === 'webp') size = webpSize(buffer)
+        else if (ext === 'bmp') size = { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) }
+
+        return size && size.width > 0 && size.height > 0 ? { ...size, ext } : null
+    } catch {
+        return null
+    }
+}
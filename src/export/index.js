@@ -0,0 +1,207 @@
+import path from 'path'
+import log from '../log.js'
+import { createPath } from '../path.js'
+
+import cbz from './cbz.js'
+import epub from './epub.js'
+import pdf from './pdf.js'
+
+/**
+ * Output stage: turns saved pages into archives / documents
+ * Each exporter declares { name, extension, fields, export(unit, context) }
+ * and optionally group (default export group) and cover (wants the banner image)
+ */
+export const Exporters = {
+    cbz,
+    epub,
+    pdf,
+}
+
+// Loose images only, no export stage
+export const DEFAULT_FORMAT = 'images'
+
+/**
+ * Export groups
+ */
+export const ExportGroup = {
+    CHAPTER: 'chapter', // One file per chapter
+    VOLUME: 'volume'    // One file per volume
+}
+
+const DEFAULT_EXPORT_PATTERNS = {
+    [ExportGroup.CHAPTER]: '$title-v$vol-c$chap.$ext',
+    [ExportGroup.VOLUME]: '$title-v$vol.$ext'
+}
+
+/**
+ * Get exporter for a format (null for loose images)
+ */
+export function getExporter(format = DEFAULT_FORMAT) {
+    if (!format || format === DEFAULT_FORMAT) return null
+
+    const exporter = Exporters[format]
+    if (!exporter) {
+        const valid = [DEFAULT_FORMAT, ...Object.keys(Exporters)]
+        throw new Error(`Invalid output format: ${format}. Valid: ${valid.join(', ')}`)
+    }
+
+    return exporter
+}
+
+/**
+ * Get exporters for a format list ("epub,pdf" or ['epub', 'pdf'])
+ */
+export function getExporters(formats = DEFAULT_FORMAT) {
+    const names = Array.isArray(formats)
+        ? formats
+        : String(formats || DEFAULT_FORMAT).split(',')
+
+    return [...new Set(names.map(name => name.trim()).filter(Boolean))]
+        .map(name => getExporter(name))
+        .filter(Boolean)
+}
+
+/**
+ * Validate export group
+ */
+export function getExportGroup(group = ExportGroup.CHAPTER) {
+    if (!Object.values(ExportGroup).includes(group)) {
+        throw new Error(`Invalid export group: ${group}. Valid: ${Object.values(ExportGroup).join(', ')}`)
+    }
+    return group
+}
+
+/**
+ * Reading direction: explicit option, else from the book type (manhwa / manhua read left to right)
+ */
+export function resolveDirection(metadata = {}, direction = null) {
+    if (direction === 'rtl' || direction === 'ltr') return direction
+    return /manhwa|manhua|webtoon/i.test(metadata?.type || '') ? 'ltr' : 'rtl'
+}
+
+/**
+ * Group chapter results into export units
+ * @param {Array} results - Chapter results returned by process()
+ * @param {string} group - ExportGroup
+ * @returns {Array<{ group, volume, chapterIndex, number, chapterUrl, chapters, pages }>}
+ */
+export function buildUnits(results, group = ExportGroup.CHAPTER) {
+    const pagesOf = result => (result.pages || [])
+        .filter(page => page.path && page.status !== 'failed')
+        .sort((a, b) => a.pageNum - b.pageNum)
+
+    const chapters = results
+        .filter(result => !result.error && pagesOf(result).length)
+        .sort((a, b) => a.chapterIndex - b.chapterIndex)
+
+    if (group === ExportGroup.CHAPTER) {
+        return chapters.map(result => ({
+            group,
+            volume: result.volume,
+            chapterIndex: result.chapterIndex,
+            number: result.number ?? result.chapterIndex,
+            chapterUrl: result.chapterUrl,
+            chapters: [result],
+            pages: pagesOf(result)
+        }))
+    }
+
+    const volumes = new Map()
+    for (const result of chapters) {
+        if (!volumes.has(result.volume)) {
+            volumes.set(result.volume, {
+                group,
+                volume: result.volume,
+                chapterIndex: null,
+                number: null,
+                chapters: [],
+                pages: []
+            })
+        }
+        const unit = volumes.get(result.volume)
+        unit.chapters.push(result)
+        unit.pages.push(...pagesOf(result))
+    }
+
+    return [...volumes.values()]
+}
+
+/**
+ * Run an exporter over chapter results
+ * @param {string} format - Exporter name
+ * @param {Array} results - Chapter results returned by process()
+ * @param {Object} context
+ * @param {Path} context.pathParser - Output path parser (exports go under its root)
+ * @param {string} context.title - Book title
+ * @param {Object} context.metadata - Fields from getEntryField
+ * @param {Object} context.cover - Banner image ({ buffer, contentType }) for exporters with a cover
+ * @param {string} context.group - ExportGroup (default: exporter group, else chapter)
+ * @param {string} context.exportPath - Export path pattern (default: "<root>/$title-v$vol[-c$chap].$ext")
+ * @returns {Promise<Array>} Export records ({ format, group, volume, chapterIndex, chapters, path, bytes } or { ..., error })
+ */
+export async function exportResults(format, results, context = {}) {
+    const exporter = getExporter(format)
+    if (!exporter) return []
+
+    const group = getExportGroup(context.group || exporter.group)
+    const pattern = context.exportPath || path.join(
+        context.pathParser.getRoot({ title: context.title }),
+        DEFAULT_EXPORT_PATTERNS[group]
+    )
+    const exportPath = createPath(pattern, exporter.extension)
+    const direction = resolveDirection(context.metadata, context.direction)
+
+    const records = []
+
+    for (const unit of buildUnits(results, group)) {
+        const record = {
+            format,
+            group,
+            volume: unit.volume,
+            chapterIndex: unit.chapterIndex,
+            chapters: unit.chapters.map(chapter => chapter.chapterIndex)
+        }
+
+        try {
+            const outputPath = await exportPath.resolveAndEnsure({
+                title: context.title,
+                vol: unit.volume,
+                chap: unit.number,
+                ext: exporter.extension
+            })
+
+            const written = await exporter.export(unit, { ...context, direction, outputPath })
+            records.push({ ...record, ...written })
+
+            log.success('Exported', { format, group, volume: unit.volume, chapter: unit.number, path: written.path })
+        } catch (error) {
+            log.error('Export failed', error, { format, group, volume: unit.volume, chapter: unit.number })
+            records.push({ ...record, error: error.message })
+        }
+    }
+
+    return records
+}
+
+/**
+ * Output stage for a downloaded book file
+ * Books arrive in their final format, so an export only succeeds when the format matches the file
+ * @param {string} format - Exporter name
+ * @param {Object} result - Book result returned by process()
+ * @returns {Promise<Array>} Export records ({ format, path, bytes } or { format, error })
+ */
+export async function exportBook(format, result) {
+    const exporter = getExporter(format)
+    if (!exporter || result.error) return []
+
+    const record = { format, group: null, volume: null, chapterIndex: null, chapters: [] }
+
+    if (result.format === exporter.extension) {
+        log.info('Book already in export format', { format, path: result.path })
+        return [{ ...record, path: result.path, bytes: result.bytes }]
+    }
+
+    const error = `Converting ${result.format || 'unknown'} books to ${format} is not supported`
+    log.warn('Export skipped', { format, path: result.path, error })
+    return [{ ...record, error }]
+}
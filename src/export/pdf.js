@@ -0,0 +1,70 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import { PDFDocument, ReadingDirection } from 'pdf-lib'
+import { detectExtension } from '../downloader.js'
+import { clean } from './xml.js'
+
+// PDF can only embed these without re-encoding
+const EMBEDDERS = {
+    jpg: (pdf, buffer) => pdf.embedJpg(buffer),
+    png: (pdf, buffer) => pdf.embedPng(buffer)
+}
+
+const addImagePage = async (pdf, buffer, label) => {
+    const ext = detectExtension(buffer)
+    const embed = EMBEDDERS[ext]
+    if (!embed) throw new Error(`Unsupported image format for PDF (${ext || 'unknown'}): ${label}`)
+
+    const image = await embed(pdf, buffer)
+    const page = pdf.addPage([image.width, image.height])
+    page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height })
+}
+
+/**
+ * PDF exporter: one page per image, sized to the image (JPEG / PNG pages only)
+ */
+export default {
+    name: 'pdf',
+    extension: 'pdf',
+    group: 'volume',
+    cover: true,
+    fields: ['title', 'author', 'artist', 'genres', 'type', 'year', 'plot', 'banner'],
+
+    async export(unit, context) {
+        const metadata = context.metadata || {}
+        const series = clean(metadata.title) || context.title
+        const pdf = await PDFDocument.create()
+
+        pdf.setTitle(unit.chapterIndex !== null
+            ? `${series} Vol. ${unit.volume} Ch. ${unit.number}`
+            : `${series} Vol. ${unit.volume}`)
+        if (metadata.author) pdf.setAuthor(clean(metadata.author))
+        if (metadata.plot) pdf.setSubject(clean(metadata.plot))
+        if (Array.isArray(metadata.genres)) pdf.setKeywords(metadata.genres.map(clean).filter(Boolean))
+        pdf.setCreator('micioparser')
+
+        if (context.direction !== 'ltr') {
+            pdf.catalog.getOrCreateViewerPreferences().setReadingDirection(ReadingDirection.R2L)
+        }
+
+        // Cover from the banner, skipped if its format can't be embedded
+        if (context.cover && EMBEDDERS[detectExtension(context.cover.buffer)]) {
+            await addImagePage(pdf, context.cover.buffer, 'cover')
+        }
+
+        for (const page of unit.pages) {
+            await addImagePage(pdf, await fs.readFile(page.path), page.path)
+        }
+
+        const bytes = await pdf.save()
+
+        await fs.mkdir(path.dirname(context.outputPath), { recursive: true })
+        await fs.writeFile(context.outputPath, bytes)
+
+        return {
+            path: context.outputPath,
+            bytes: bytes.length,
+            entries: pdf.getPageCount()
+        }
+    }
+}
@@ -0,0 +1,9 @@
+export const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+// Trim strings coming from getEntryField, leave everything else untouched
+export const clean = (value) => typeof value === 'string' ? value.trim() : value
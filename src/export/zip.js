@@ -0,0 +1,155 @@
+import { promises as fs } from 'fs'
+import path from 'path'
+import zlib from 'zlib'
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+        let c = n
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+        }
+        table[n] = c >>> 0
+    }
+    return table
+})()
+
+export function crc32(buffer) {
+    let crc = 0xFFFFFFFF
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8)
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+// MS-DOS time and date fields
+const dosDateTime = (date = new Date()) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+const MAX_SIZE = 0xFFFFFFFF
+
+/**
+ * Minimal zip writer (no zip64), streams entries to disk
+ * Images are stored as they are, text entries can be deflated
+ */
+export class ZipWriter {
+    constructor(filePath) {
+        this.filePath = filePath
+        this.tmpPath = `${filePath}.tmp`
+        this.handle = null
+        this.offset = 0
+        this.entries = []
+    }
+
+    static async create(filePath) {
+        const writer = new ZipWriter(filePath)
+        await fs.mkdir(path.dirname(filePath), { recursive: true })
+        writer.handle = await fs.open(writer.tmpPath, 'w')
+        return writer
+    }
+
+    /**
+     * Add an entry
+     * @param {string} name - Entry name inside the archive
+     * @param {Buffer|string} data - Entry content
+     * @param {Object} options
+     * @param {boolean} options.compress - Deflate the entry (default: false, stored)
+     */
+    async add(name, data, { compress = false } = {}) {
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8')
+        const stored = compress ? zlib.deflateRawSync(content) : content
+        const nameBuffer = Buffer.from(name, 'utf8')
+        const { time, date } = dosDateTime()
+        const crc = crc32(content)
+
+        if (this.offset + stored.length > MAX_SIZE) {
+            throw new Error(`Archive too large (zip64 not supported): ${this.filePath}`)
+        }
+
+        const header = Buffer.alloc(30)
+        header.writeUInt32LE(0x04034b50, 0)
+        header.writeUInt16LE(20, 4)                    // Version needed
+        header.writeUInt16LE(0x0800, 6)                // UTF-8 names
+        header.writeUInt16LE(compress ? 8 : 0, 8)      // Method
+        header.writeUInt16LE(time, 10)
+        header.writeUInt16LE(date, 12)
+        header.writeUInt32LE(crc, 14)
+        header.writeUInt32LE(stored.length, 18)
+        header.writeUInt32LE(content.length, 22)
+        header.writeUInt16LE(nameBuffer.length, 26)
+        header.writeUInt16LE(0, 28)                    // Extra length
+
+        await this.handle.write(Buffer.concat([header, nameBuffer, stored]))
+
+        this.entries.push({
+            nameBuffer,
+            method: compress ? 8 : 0,
+            time,
+            date,
+            crc,
+            compressedSize: stored.length,
+            size: content.length,
+            offset: this.offset
+        })
+        this.offset += header.length + nameBuffer.length + stored.length
+    }
+
+    /**
+     * Write the central directory and move the archive in place
+     * @returns {Promise<{ path: string, bytes: number, entries: number }>}
+     */
+    async close() {
+        const centralOffset = this.offset
+        const records = this.entries.map(entry => {
+            const record = Buffer.alloc(46)
+            record.writeUInt32LE(0x02014b50, 0)
+            record.writeUInt16LE(20, 4)                // Version made by
+            record.writeUInt16LE(20, 6)                // Version needed
+            record.writeUInt16LE(0x0800, 8)
+            record.writeUInt16LE(entry.method, 10)
+            record.writeUInt16LE(entry.time, 12)
+            record.writeUInt16LE(entry.date, 14)
+            record.writeUInt32LE(entry.crc, 16)
+            record.writeUInt32LE(entry.compressedSize, 20)
+            record.writeUInt32LE(entry.size, 24)
+            record.writeUInt16LE(entry.nameBuffer.length, 28)
+            record.writeUInt32LE(entry.offset, 42)     // Extra, comment, disk, attributes stay 0
+            return Buffer.concat([record, entry.nameBuffer])
+        })
+        const central = Buffer.concat(records)
+
+        const end = Buffer.alloc(22)
+        end.writeUInt32LE(0x06054b50, 0)
+        end.writeUInt16LE(this.entries.length, 8)
+        end.writeUInt16LE(this.entries.length, 10)
+        end.writeUInt32LE(central.length, 12)
+        end.writeUInt32LE(centralOffset, 16)
+
+        await this.handle.write(Buffer.concat([central, end]))
+        await this.handle.close()
+        this.handle = null
+
+        await fs.rename(this.tmpPath, this.filePath)
+
+        return {
+            path: this.filePath,
+            bytes: centralOffset + central.length + end.length,
+            entries: this.entries.length
+        }
+    }
+
+    /**
+     * Drop a partially written archive
+     */
+    async abort() {
+        if (this.handle) {
+            await this.handle.close()
+            this.handle = null
+        }
+        await fs.rm(this.tmpPath, { force: true })
+    }
+}
+
+export default ZipWriter
@@ -0,0 +1,118 @@
+import { BookStatus } from './models/book.js'
+
+/**
+ * Structured search filters
+ * Connectors apply the ones they declare in capabilities.filters through getSearchUrl,
+ * the scraper applies the rest to deep search results
+ */
+export const SearchFilter = {
+    GENRES: 'genres',                 // Every genre must be listed
+    EXCLUDE_GENRES: 'excludeGenres',  // No genre may be listed
+    STATUS: 'status',                 // Any of the BookStatus values
+    TYPE: 'type',                     // Any of the types (manga, manhwa, manhua, novel, ...)
+    YEAR: 'year',                     // yearFrom / yearTo range, either end optional
+    LANGUAGE: 'language'              // Language the book is available in
+}
+
+// Accents, case and punctuation don't count ("Commedia" = "commedia", "Slice of Life" = "slice-of-life")
+const normalize = (value) => String(value ?? '').toLowerCase()
+    .normalize('NFD').replace(/\p{M}/gu, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '')
+
+// Array or comma separated list
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+
+const parseYear = (value, name, errors) => {
+    if (value === undefined || value === null || value === '') return null
+
+    const year = parseInt(value)
+    if (isNaN(year) || year < 1900 || year > 2100) {
+        errors.push(`${name} must be a year`)
+        return null
+    }
+    return year
+}
+
+/**
+ * Normalize filter options (query params or Scraper.search options)
+ * @param {Object} opt - { genres, excludeGenres, status, type, yearFrom, yearTo, language }
+ * @returns {Object} Filters with lists for genres / excludeGenres / status / type, null where unset
+ * @throws {Error} On unknown status values or bad years
+ */
+export function parseSearchFilters(opt = {}) {
+    const errors = []
+
+    const status = toList(opt.status).map(value => value.toLowerCase())
+    const invalidStatus = status.filter(value => !Object.values(BookStatus).includes(value) || value === BookStatus.UNKNOWN)
+    if (invalidStatus.length) {
+        const valid = Object.values(BookStatus).filter(value => value !== BookStatus.UNKNOWN)
+        errors.push(`invalid status: ${invalidStatus.join(', ')}. Valid: ${valid.join(', ')}`)
+    }
+
+    const yearFrom = parseYear(opt.yearFrom, 'yearFrom', errors)
+    const yearTo = parseYear(opt.yearTo, 'yearTo', errors)
+    if (yearFrom && yearTo && yearFrom > yearTo) errors.push('yearFrom is after yearTo')
+
+    if (errors.length) {
+        throw new Error(`Invalid search filters: ${errors.join('; ')}`)
+    }
+
+    return {
+        genres: toList(opt.genres),
+        excludeGenres: toList(opt.excludeGenres),
+        status,
+        type: toList(opt.type).map(value => value.toLowerCase()),
+        yearFrom,
+        yearTo,
+        language: opt.language ? String(opt.language).toLowerCase() : null
+    }
+}
+
+/**
+ * Filters that are set
+ * @returns {Array<string>} SearchFilter values
+ */
+export function getActiveFilters(filters = {}) {
+    return Object.values(SearchFilter).filter(filter => {
+        switch (filter) {
+            case SearchFilter.YEAR: return !!(filters.yearFrom || filters.yearTo)
+            case SearchFilter.LANGUAGE: return !!filters.language
+            default: return !!filters[filter]?.length
+        }
+    })
+}
+
+/**
+ * Whether a Book passes the given filters
+ * Books missing a filtered field fail, except language: connectors were already picked for it,
+ * so a book without one is available in it
+ * @param {Book} book
+ * @param {Object} filters - Output of parseSearchFilters
+ * @param {Array<string>} only - Filters to check (default: every active one)
+ */
+export function matchesFilters(book, filters, only = getActiveFilters(filters)) {
+    const genres = new Set((book.genres || []).map(normalize))
+
+    return only.every(filter => {
+        switch (filter) {
+            case SearchFilter.GENRES:
+                return filters.genres.every(genre => genres.has(normalize(genre)))
+            case SearchFilter.EXCLUDE_GENRES:
+                return !filters.excludeGenres.some(genre => genres.has(normalize(genre)))
+            case SearchFilter.STATUS:
+                return filters.status.includes(book.status)
+            case SearchFilter.TYPE:
+                return filters.type.some(type => normalize(book.type) === normalize(type))
+            case SearchFilter.YEAR:
+                return !!book.year
+                    && (!filters.yearFrom || book.year >= filters.yearFrom)
+                    && (!filters.yearTo || book.year <= filters.yearTo)
+            case SearchFilter.LANGUAGE:
+                return !book.language || book.language === filters.language
+            default:
+                return true
+        }
+    })
+}
@@ -0,0 +1,229 @@
+import { promises as fs } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import log from './log.js'
+import { Connectors } from './driver.js'
+import { parseDuration } from './utils.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const HEALTH_PATH = process.env.HEALTH_PATH || join(__dirname, '..', 'health.json')
+
+// How often every connector is checked, the job is off unless HEALTH_CHECK_INTERVAL is set (e.g. 1d)
+export const DEFAULT_HEALTH_INTERVAL = process.env.HEALTH_CHECK_INTERVAL || null
+
+// Reports kept per connector
+const MAX_HISTORY = 30
+
+// How often the job looks for due connectors
+const TICK_MS = 5 * 60 * 1000
+
+/**
+ * Connector health
+ */
+export const HealthStatus = {
+    OK: 'ok',             // Every stage ran, nothing new came back empty
+    DEGRADED: 'degraded', // Every stage ran, fields that used to be read came back empty
+    FAILED: 'failed'      // A stage failed (no results, no chapters, ...)
+}
+
+/**
+ * Connector health checks: canary runs (Scraper.runCanary) compared with the connector's
+ * previous report, so a site layout change shows up as fields that stopped coming back
+ * Reports are kept in health.json (HEALTH_PATH overrides it), MAX_HISTORY per connector
+ */
+export class HealthMonitor {
+    /**
+     * @param {Object} opt
+     * @param {Function} opt.getExecution - Returns the Scraper to use (the API swaps it on /setup)
+     * @param {Function} opt.onReport - Called with each report (e.g. webhooks on degraded / failed)
+     * @param {string} opt.filePath - History file
+     */
+    constructor({ getExecution, onReport = null, filePath = HEALTH_PATH } = {}) {
+        this.getExecution = getExecution
+        this.onReport = onReport
+        this.filePath = filePath
+        this.history = {} // connector -> reports, newest first
+        this.timer = null
+        this.running = null // Promise of the run in progress
+    }
+
+    /**
+     * Load history from file
+     */
+    async load() {
+        try {
+            this.history = JSON.parse(await fs.readFile(this.filePath, 'utf8')).connectors || {}
+            log.info('Health history loaded', { connectors: Object.keys(this.history).length })
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Failed to load health history', error)
+                throw error
+            }
+        }
+    }
+
+    /**
+     * Save history to file (atomic)
+     */
+    async save() {
+        const tmpPath = `${this.filePath}.tmp`
+        await fs.mkdir(dirname(this.filePath), { recursive: true })
+        await fs.writeFile(tmpPath, JSON.stringify({ connectors: this.history }, null, 2), 'utf8')
+        await fs.rename(tmpPath, this.filePath)
+    }
+
+    /**
+     * Latest report of every checked connector
+     */
+    getLatest() {
+        return Object.fromEntries(Object.entries(this.history)
+            .filter(([, reports]) => reports.length)
+            .map(([connector, reports]) => [connector, reports[0]]))
+    }
+
+    /**
+     * Reports of a connector, newest first
+     */
+    getHistory(connectorId) {
+        return this.history[connectorId] || []
+    }
+
+    /**
+     * Check a connector and record the report
+     * @param {string} connectorId - Connector id
+     * @param {Object} opt - { query, url } passed to runCanary
+     * @returns {Promise<Object>} Report: { connector, at, status, stages, empty, regressions, recovered, ... }
+     */
+    async check(connectorId, opt = {}) {
+        if (!Connectors[connectorId]) {
+            throw new Error(`Unknown connector: ${connectorId}. Valid: ${Object.keys(Connectors).join(', ')}`)
+        }
+
+        const start = Date.now()
+        let report
+        try {
+            const run = await this.getExecution().runCanary(connectorId, opt)
+            report = this.compare({ ...run, at: new Date().toISOString(), duration: Date.now() - start })
+        } catch (error) {
+            // The canary itself couldn't run (browser, driver, ...)
+            log.error('Health check failed', error, { connector: connectorId })
+            report = this.compare({
+                connector: connectorId,
+                at: new Date().toISOString(),
+                duration: Date.now() - start,
+                stages: {},
+                error: error.message
+            })
+        }
+
+        this.history[connectorId] = [report, ...this.getHistory(connectorId)].slice(0, MAX_HISTORY)
+        await this.save()
+
+        const level = report.status === HealthStatus.OK ? 'info' : 'warn'
+        log[level]('Connector health checked', {
+            connector: connectorId,
+            status: report.status,
+            regressions: report.regressions
+        })
+
+        if (this.onReport) {
+            try {
+                this.onReport(report)
+            } catch (error) {
+                log.warn('Health report handler failed', { connector: connectorId, error: error.message })
+            }
+        }
+
+        return report
+    }
+
+    /**
+     * Status of a canary run against the connector's previous report
+     * Empty keys are "stage" for a failed stage and "stage.field" for a field read as empty
+     */
+    compare(run) {
+        const stages = Object.entries(run.stages)
+        const empty = [
+            ...stages.filter(([, stage]) => !stage.ok).map(([name]) => name),
+            ...stages.flatMap(([name, stage]) => stage.empty.map(field => `${name}.${field}`))
+        ]
+
+        // Fields are compared with the last report where their stage ran, stages with the last one
+        // that had them; without one (first report, new stage) there's nothing to regress from
+        const history = this.getHistory(run.connector)
+        const baseline = (key) => {
+            const [name, field] = key.split('.')
+            return history.find(report => field ? report.stages?.[name]?.ok : report.stages?.[name])
+        }
+        const regressions = empty.filter(key => {
+            const report = baseline(key)
+            return report && !report.empty.includes(key)
+        })
+
+        const now = new Set(empty)
+        const recovered = (history[0]?.empty || []).filter(key => !now.has(key))
+
+        const failed = run.error || !stages.length || stages.some(([, stage]) => !stage.ok)
+        return {
+            ...run,
+            status: failed ? HealthStatus.FAILED : regressions.length ? HealthStatus.DEGRADED : HealthStatus.OK,
+            empty,
+            regressions,
+            recovered
+        }
+    }
+
+    /**
+     * Check connectors one after the other (every registered one by default)
+     * @returns {Promise<Array>} Reports
+     */
+    async run(connectorIds = Object.keys(Connectors)) {
+        if (this.running) return await this.running
+
+        this.running = (async () => {
+            const reports = []
+            for (const connectorId of connectorIds) {
+                reports.push(await this.check(connectorId))
+            }
+            return reports
+        })()
+
+        try {
+            return await this.running
+        } finally {
+            this.running = null
+        }
+    }
+
+    /**
+     * Check connectors whose last report is older than the interval, every few minutes
+     * (the first look waits one tick, so starting the API doesn't launch browsers)
+     * Due checks come from the history, so a restart doesn't run them again early
+     */
+    start(interval = DEFAULT_HEALTH_INTERVAL) {
+        if (this.timer || !interval || interval === 'false') return
+
+        const ms = parseDuration(interval)
+        const tick = () => {
+            const due = Object.keys(Connectors).filter(connectorId => {
+                const last = this.getHistory(connectorId)[0]
+                return !last || Date.now() - new Date(last.at).getTime() >= ms
+            })
+            if (due.length && !this.running) {
+                this.run(due).catch(error => log.error('Scheduled health check failed', error))
+            }
+        }
+
+        this.timer = setInterval(tick, TICK_MS)
+        this.timer.unref?.()
+        log.info('Health checks scheduled', { interval })
+    }
+
+    stop() {
+        if (!this.timer) return
+        clearInterval(this.timer)
+        this.timer = null
+    }
+}
+
+export default HealthMonitor
@@ -0,0 +1,365 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'crypto'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import log from './log.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const LIBRARY_PATH = process.env.LIBRARY_PATH || join(__dirname, '..', 'library.json')
+
+const LIBRARY_VERSION = 1
+
+/**
+ * Series statuses
+ */
+export const SeriesStatus = {
+    FOLLOWING: 'following', // Checked for new chapters
+    PAUSED: 'paused'        // Kept, not checked
+}
+
+// Fields PATCH can change
+const EDITABLE_FIELDS = ['title', 'status', 'options', 'schedule']
+
+/**
+ * Followed series, persisted as JSON next to settings.json (LIBRARY_PATH overrides it)
+ * Each series keeps its connector, Book metadata, known chapters and what was downloaded,
+ * plus its new-chapter check settings and last check (see scheduler.js)
+ */
+export class Library {
+    constructor(filePath = LIBRARY_PATH) {
+        this.filePath = filePath
+        this.data = {
+            version: LIBRARY_VERSION,
+            series: {},
+            lastUpdated: null
+        }
+        this.loaded = false
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * Series id from its connector and url
+     */
+    static idOf(connector, url) {
+        return createHash('sha1').update(`${connector}\n${url}`).digest('hex').slice(0, 12)
+    }
+
+    /**
+     * Load library from file
+     */
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8')
+            const data = JSON.parse(content)
+            this.data = { ...this.data, ...data, series: data.series || {} }
+            this.loaded = true
+            log.info('Library loaded', { series: Object.keys(this.data.series).length })
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info('Library file not found, starting empty', { path: this.filePath })
+                this.loaded = true
+            } else {
+                log.error('Failed to load library', error)
+                throw error
+            }
+        }
+    }
+
+    /**
+     * Save library to file (atomic, serialized)
+     */
+    async save() {
+        // A failed write doesn't block the next ones
+        this.saving = this.saving.catch(() => {}).then(async () => {
+            this.data.lastUpdated = new Date().toISOString()
+
+            const tmpPath = `${this.filePath}.tmp`
+            await fs.mkdir(dirname(this.filePath), { recursive: true })
+            await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2), 'utf8')
+            await fs.rename(tmpPath, this.filePath)
+
+            log.debug('Library saved', { path: this.filePath })
+        })
+
+        try {
+            await this.saving
+        } catch (error) {
+            log.error('Failed to save library', error)
+            throw error
+        }
+    }
+
+    /**
+     * All series, without their chapter lists
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Object.values(this.data.series).map(series => this.summarize(series))
+    }
+
+    /**
+     * Series with its chapters
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.data.series[id] || null
+    }
+
+    /**
+     * Series following a url (any connector)
+     * @returns {Object|null}
+     */
+    findByUrl(url) {
+        return Object.values(this.data.series).find(series => series.url === url) || null
+    }
+
+    /**
+     * Add a series, or refresh it when already there
+     * @param {Object} entry
+     * @param {string} entry.connector - Connector id
+     * @param {string} entry.url - Series (detail page) url
+     * @param {Book} entry.book - Metadata read from the detail page
+     * @param {Array} entry.chapters - Flattened chapters ({ url, number, volume, chapterIndex, chapter })
+     * @param {string} entry.title - Title override (default: book title)
+     * @param {Object} entry.options - Download options kept for later runs (outputPath, format, ...)
+     * @returns {Promise<{ series: Object, created: boolean, added: Array }>}
+     */
+    async add({ connector, url, book, chapters = [], title, options = {} }) {
+        const id = Library.idOf(connector, url)
+        const created = !this.data.series[id]
+        const now = new Date().toISOString()
+
+        if (created) {
+            this.data.series[id] = {
+                id,
+                connector,
+                url,
+                title: title || book?.title || url,
+                status: SeriesStatus.FOLLOWING,
+                options,
+                schedule: {},
+                book: null,
+                chapters: [],
+                download: null,
+                check: null,
+                addedAt: now,
+                updatedAt: now,
+                checkedAt: null
+            }
+        }
+
+        const series = this.data.series[id]
+        if (book) series.book = book.toJSON ? book.toJSON() : book
+        if (title) series.title = title
+        if (!created && Object.keys(options).length) series.options = { ...series.options, ...options }
+
+        const added = this._mergeChapters(series, chapters)
+        // Chapters present when the series is added count as known, not new
+        const result = { series, created, added: created ? [] : added }
+        series.checkedAt = now
+
+        await this.save()
+
+        log.info(created ? 'Series added to library' : 'Series refreshed', {
+            id,
+            connector,
+            title: series.title,
+            chapters: series.chapters.length,
+            added: result.added.length
+        })
+
+        return result
+    }
+
+    /**
+     * Update editable fields (title, status, options, schedule)
+     * @throws {Error} On unknown series, fields or status
+     */
+    async update(id, patch = {}) {
+        const series = this.get(id)
+        if (!series) throw new Error(`Series not found: ${id}`)
+
+        const unknown = Object.keys(patch).filter(key => !EDITABLE_FIELDS.includes(key))
+        if (unknown.length) throw new Error(`Invalid fields: ${unknown.join(', ')}. Valid: ${EDITABLE_FIELDS.join(', ')}`)
+
+        if (patch.status !== undefined && !Object.values(SeriesStatus).includes(patch.status)) {
+            throw new Error(`Invalid status: ${patch.status}. Valid: ${Object.values(SeriesStatus).join(', ')}`)
+        }
+
+        if (patch.title) series.title = patch.title
+        if (patch.status) series.status = patch.status
+        if (patch.options) series.options = { ...series.options, ...patch.options }
+        if (patch.schedule) series.schedule = { ...series.schedule, ...patch.schedule }
+        series.updatedAt = new Date().toISOString()
+
+        await this.save()
+        return series
+    }
+
+    /**
+     * Remove a series
+     * @returns {Promise<boolean>} Whether it was there
+     */
+    async remove(id) {
+        if (!this.data.series[id]) return false
+
+        delete this.data.series[id]
+        await this.save()
+
+        log.info('Series removed from library', { id })
+        return true
+    }
+
+    /**
+     * Replace the metadata and known chapters with a fresh read of the series page
+     * @param {string} id - Series id
+     * @param {Object} fresh - { book, chapters } as returned by Scraper.getSeries
+     * @returns {Promise<Array>} Chapters not known before
+     */
+    async refresh(id, { book = null, chapters = [] } = {}) {
+        const series = this.get(id)
+        if (!series) throw new Error(`Series not found: ${id}`)
+
+        if (book) series.book = book.toJSON ? book.toJSON() : book
+        const added = this._mergeChapters(series, chapters)
+        series.checkedAt = new Date().toISOString()
+        series.check = { at: series.checkedAt, added: added.length, error: null }
+
+        await this.save()
+        return added
+    }
+
+    /**
+     * Record a failed check, so the series waits its interval before the next one
+     */
+    async failCheck(id, error) {
+        const series = this.get(id)
+        if (!series) throw new Error(`Series not found: ${id}`)
+
+        series.checkedAt = new Date().toISOString()
+        series.check = { at: series.checkedAt, added: 0, error: error.message || String(error) }
+
+        await this.save()
+    }
+
+    /**
+     * Mark chapters as waiting for a download, kept until recordDownloads sees them done
+     * @param {string} id - Series id
+     * @param {Array} chapters - Library chapters (as returned by refresh)
+     */
+    async queueChapters(id, chapters) {
+        const series = this.get(id)
+        if (!series) throw new Error(`Series not found: ${id}`)
+
+        const now = new Date().toISOString()
+        const keys = new Set(chapters.map(chapter => chapter.key))
+        series.chapters
+            .filter(chapter => keys.has(chapter.key) && !chapter.queuedAt)
+            .forEach(chapter => { chapter.queuedAt = now })
+
+        await this.save()
+    }
+
+    /**
+     * Chapters queued for a download and not downloaded yet
+     * @returns {Array}
+     */
+    getQueued(id) {
+        return (this.get(id)?.chapters || []).filter(chapter => chapter.queuedAt && !chapter.downloadedAt)
+    }
+
+    /**
+     * Record what a process() run downloaded for a series
+     * Chapters without errors or failed pages (or skipped as already complete) count as downloaded
+     * @param {string} id - Series id
+     * @param {Array} results - process() results (chapter results, or a single book result)
+     */
+    async recordDownloads(id, results = []) {
+        const series = this.get(id)
+        if (!series) throw new Error(`Series not found: ${id}`)
+
+        const now = new Date().toISOString()
+        const done = results.filter(result => !result.error && !result.failures?.length)
+
+        for (const result of done) {
+            const chapter = series.chapters.find(chapter => chapter.key === result.chapterUrl)
+            if (chapter && !chapter.downloadedAt) chapter.downloadedAt = now
+        }
+
+        series.download = {
+            at: now,
+            results: results.length,
+            downloaded: done.length,
+            failed: results.length - done.length,
+            // Books are a single file
+            ...(results[0]?.type === 'book' && !results[0].error && {
+                path: results[0].path,
+                format: results[0].format,
+                bytes: results[0].bytes
+            })
+        }
+        series.updatedAt = now
+
+        await this.save()
+    }
+
+    /**
+     * Series without its chapter list, with chapter counts
+     */
+    summarize(series) {
+        const { chapters, ...rest } = series
+        return {
+            ...rest,
+            chapterCount: chapters.length,
+            downloadedCount: chapters.filter(chapter => chapter.downloadedAt).length
+        }
+    }
+
+    // Merge a fresh chapter list into a series, keeping first seen / download dates
+    _mergeChapters(series, chapters) {
+        if (!chapters.length) return []
+
+        const now = new Date().toISOString()
+        const known = new Map(series.chapters.map(chapter => [chapter.key, chapter]))
+        const added = []
+
+        series.chapters = chapters.map(chapter => {
+            const key = typeof chapter.url === 'string' ? chapter.url : chapter.url.render()
+            const previous = known.get(key)
+
+            const entry = {
+                ...(chapter.chapter?.toJSON ? chapter.chapter.toJSON() : {}),
+                key,
+                chapterIndex: chapter.chapterIndex,
+                number: chapter.number,
+                volume: chapter.volume,
+                firstSeenAt: previous?.firstSeenAt || now,
+                queuedAt: previous?.queuedAt || null,
+                downloadedAt: previous?.downloadedAt || null
+            }
+
+            if (!previous) added.push(entry)
+            return entry
+        })
+
+        series.updatedAt = now
+        return added
+    }
+}
+
+// Singleton instance
+let libraryInstance = null
+
+/**
+ * Get or create library instance
+ * @returns {Promise<Library>}
+ */
+export async function getLibrary() {
+    if (!libraryInstance) {
+        libraryInstance = new Library()
+        await libraryInstance.load()
+    }
+    return libraryInstance
+}
+
+export default Library
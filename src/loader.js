@@ -0,0 +1,232 @@
+import { promises as fs } from 'fs'
+import { join, dirname, extname, basename, resolve } from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import YAML from 'yaml'
+import { Url } from './utils.js'
+import log from './log.js'
+import { registerConnector, unregisterConnector } from './driver.js'
+import { createDeclarativeConnector } from './declarative.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+
+// Plugins directory, CONNECTORS_DIR overrides it
+export const DEFAULT_PLUGINS_DIR = join(__dirname, '..', 'plugins')
+
+// Versioned copies of folder plugins, under the plugins directory (skipped by discovery)
+const VERSIONS_DIR = '.versions'
+
+const MODULE_EXTENSIONS = ['.js', '.mjs']
+const DEFINITION_EXTENSIONS = ['.json', '.yaml', '.yml']
+
+/**
+ * Discovers connector modules in a directory and registers them next to the built-in ones
+ * A plugin is a module (or a folder with index.js) whose default export is a connector factory,
+ * like the ones in src/connector; its id is the connector name, else the file name
+ * JSON / YAML files are declarative definitions (see declarative.js)
+ * Folder plugins load from a copy under .versions (see _snapshot), relative imports must stay in the folder
+ */
+export class ConnectorLoader {
+    constructor(dir = process.env.CONNECTORS_DIR || DEFAULT_PLUGINS_DIR) {
+        this.dir = resolve(dir)
+        this.plugins = new Map() // connector_id -> { id, file, capabilities, loadedAt }
+        this.failures = []       // [{ file, error }] from the last load
+    }
+
+    /**
+     * Module files in the plugins directory
+     */
+    async _discover() {
+        let entries
+        try {
+            entries = await fs.readdir(this.dir, { withFileTypes: true })
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.debug('Plugins directory not found', { dir: this.dir })
+                return []
+            }
+            throw error
+        }
+
+        const files = []
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            if (entry.name.startsWith('.') || entry.name.startsWith('_')) continue
+
+            if (entry.isFile() && [...MODULE_EXTENSIONS, ...DEFINITION_EXTENSIONS].includes(extname(entry.name))) {
+                files.push(join(this.dir, entry.name))
+            } else if (entry.isDirectory()) {
+                const index = join(this.dir, entry.name, 'index.js')
+                if (await fs.stat(index).then(stat => stat.isFile(), () => false)) files.push(index)
+            }
+        }
+
+        return files
+    }
+
+    /**
+     * Cache busting version of a plugin: its mtime, or the newest one in the folder for folder plugins,
+     * so editing any of their files counts as a change
+     */
+    async _version(file) {
+        if (basename(file) !== 'index.js') return (await fs.stat(file)).mtimeMs
+
+        const newest = async (dir) => {
+            let latest = 0
+            for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+                if (entry.name.startsWith('.') || entry.name === 'node_modules') continue
+
+                const path = join(dir, entry.name)
+                const mtimeMs = entry.isDirectory() ? await newest(path) : (await fs.stat(path)).mtimeMs
+                latest = Math.max(latest, mtimeMs)
+            }
+            return latest
+        }
+
+        return await newest(dirname(file))
+    }
+
+    /**
+     * Copy of a folder plugin named after its version (<name>@<version>), made once per version
+     * Importing from it gives every file of the plugin a new module url, where a ?v= query
+     * would only reach index.js and leave the modules it imports cached
+     * @returns {Promise<string>} index.js of the copy
+     */
+    async _snapshot(file) {
+        const folder = dirname(file)
+        const name = basename(folder)
+        const version = `${name}@${Math.floor(await this._version(file))}`
+        const versions = join(this.dir, VERSIONS_DIR)
+        const target = join(versions, version)
+        const exists = (path) => fs.stat(path).then(() => true, () => false)
+
+        if (!await exists(target)) {
+            const tmpPath = `${target}.tmp`
+            await fs.rm(tmpPath, { recursive: true, force: true })
+            await fs.cp(folder, tmpPath, { recursive: true, filter: (src) => basename(src) !== 'node_modules' })
+
+            // The plugin's own dependencies still resolve from the copy
+            if (await exists(join(folder, 'node_modules'))) {
+                await fs.symlink(join(folder, 'node_modules'), join(tmpPath, 'node_modules'), 'junction')
+            }
+            await fs.rename(tmpPath, target)
+
+            // Older copies, their modules stay loaded until the connector is reloaded
+            for (const entry of await fs.readdir(versions)) {
+                if (entry.startsWith(`${name}@`) && entry !== version) {
+                    await fs.rm(join(versions, entry), { recursive: true, force: true })
+                }
+            }
+        }
+
+        return join(target, 'index.js')
+    }
+
+    /**
+     * Import a plugin module (bypassing the module cache so edits are picked up on reload)
+     * or build one from a definition file
+     */
+    async _import(file) {
+        if (DEFINITION_EXTENSIONS.includes(extname(file))) {
+            const content = await fs.readFile(file, 'utf8')
+            const definition = extname(file) === '.json' ? JSON.parse(content) : YAML.parse(content)
+            return { id: definition?.name, connectorFn: createDeclarativeConnector(definition) }
+        }
+
+        // Folder plugins are imported from their versioned copy, single files with a ?v= query
+        const module = await import(basename(file) === 'index.js'
+            ? pathToFileURL(await this._snapshot(file)).href
+            : `${pathToFileURL(file).href}?v=${await this._version(file)}`)
+
+        const connectorFn = module.default
+        if (typeof connectorFn !== 'function') {
+            throw new Error('Default export must be a connector factory function')
+        }
+
+        const fallbackId = basename(file) === 'index.js' ? basename(dirname(file)) : basename(file, extname(file))
+        const id = connectorFn({ page: null, Url, log, name: fallbackId })?.name || fallbackId
+
+        return { id, connectorFn }
+    }
+
+    /**
+     * Load and register every plugin in the directory
+     * Invalid plugins are reported and skipped, they never stop the others
+     * @returns {Promise<{ loaded: Array, failed: Array }>}
+     */
+    async load() {
+        this.failures = []
+
+        for (const file of await this._discover()) {
+            try {
+                const { id, connectorFn } = await this._import(file)
+
+                const other = this.plugins.get(id)
+                if (other && other.file !== file) {
+                    throw new Error(`Connector ${id} is already provided by ${other.file}`)
+                }
+
+                const capabilities = registerConnector(id, connectorFn)
+                this.plugins.set(id, { id, file, capabilities, loadedAt: new Date().toISOString() })
+
+                log.info('Connector plugin loaded', { connector: id, file })
+            } catch (error) {
+                this.failures.push({ file, error: error.message })
+                log.error('Failed to load connector plugin', error, { file })
+            }
+        }
+
+        return this.getStatus()
+    }
+
+    /**
+     * Unregister every plugin, then load the directory again
+     * @returns {Promise<{ loaded: Array, failed: Array, removed: Array }>} removed: ids no longer provided
+     */
+    async reload() {
+        const previous = [...this.plugins.keys()]
+
+        for (const id of previous) {
+            unregisterConnector(id)
+        }
+        this.plugins.clear()
+
+        const status = await this.load()
+        const removed = previous.filter(id => !this.plugins.has(id))
+
+        log.info('Connector plugins reloaded', {
+            loaded: status.loaded.length,
+            failed: status.failed.length,
+            removed
+        })
+
+        return { ...status, removed }
+    }
+
+    /**
+     * Whether a connector comes from a plugin
+     */
+    isPlugin(connectorId) {
+        return this.plugins.has(connectorId)
+    }
+
+    getStatus() {
+        return {
+            dir: this.dir,
+            loaded: [...this.plugins.values()],
+            failed: [...this.failures]
+        }
+    }
+}
+
+let instance = null
+
+/**
+ * Shared loader (plugins directory from CONNECTORS_DIR)
+ */
+export function getConnectorLoader() {
+    if (!instance) {
+        instance = new ConnectorLoader()
+    }
+    return instance
+}
+
+export default ConnectorLoader
@@ -0,0 +1,231 @@
+import { promises as fs } from 'fs'
+import { createHash } from 'crypto'
+import path from 'path'
+import log from './log.js'
+
+const MANIFEST_VERSION = 1
+const SAVE_DELAY = 1000
+
+/**
+ * Manifest statuses
+ */
+export const ManifestStatus = {
+    DONE: 'done',
+    PARTIAL: 'partial',  // Some pages failed or are missing
+    FAILED: 'failed'
+}
+
+/**
+ * Per-series download manifest, written next to the output
+ * Tracks chapters, pages, source urls, hashes and status so reruns can resume
+ */
+export class Manifest {
+    constructor(filePath, meta = {}) {
+        this.filePath = filePath
+        this.data = {
+            version: MANIFEST_VERSION,
+            target: meta.target || null,
+            connector: meta.connector || null,
+            title: meta.title || null,
+            pattern: meta.pattern || null,
+            createdAt: new Date().toISOString(),
+            updatedAt: null,
+            chapters: {}
+        }
+        this.saveTimer = null
+        this.saving = Promise.resolve()
+    }
+
+    /**
+     * Open (or create) the manifest for a target and output pattern
+     * @param {Path} pathParser - Output path parser
+     * @param {Object} meta - { target, connector, title }
+     * @param {Object} options
+     * @param {boolean} options.resume - Load previous state (default: true)
+     * @returns {Promise<Manifest>}
+     */
+    static async open(pathParser, meta = {}, { resume = true } = {}) {
+        const root = pathParser.getRoot({ title: meta.title })
+        const key = createHash('sha1')
+            .update(`${meta.target}\n${pathParser.pattern}`)
+            .digest('hex')
+            .slice(0, 8)
+
+        const manifest = new Manifest(
+            path.join(root, `manifest-${key}.json`),
+            { ...meta, pattern: pathParser.pattern }
+        )
+
+        if (resume) await manifest.load()
+        return manifest
+    }
+
+    async load() {
+        try {
+            const content = await fs.readFile(this.filePath, 'utf8')
+            const data = JSON.parse(content)
+
+            if (data.version !== MANIFEST_VERSION) {
+                log.warn('Manifest version mismatch, starting fresh', { path: this.filePath })
+                return
+            }
+
+            this.data = { ...this.data, ...data, chapters: data.chapters || {} }
+            log.info('Manifest loaded', {
+                path: this.filePath,
+                ...this.summary()
+            })
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.debug('Manifest not found, starting fresh', { path: this.filePath })
+            } else {
+                log.error('Failed to load manifest, starting fresh', error, { path: this.filePath })
+            }
+        }
+    }
+
+    /**
+     * Write manifest to disk (atomic, serialized)
+     */
+    async save() {
+        clearTimeout(this.saveTimer)
+        this.saveTimer = null
+
+        this.saving = this.saving.then(async () => {
+            try {
+                this.data.updatedAt = new Date().toISOString()
+                await fs.mkdir(path.dirname(this.filePath), { recursive: true })
+
+                const tmpPath = `${this.filePath}.tmp`
+                await fs.writeFile(tmpPath, JSON.stringify(this.data, null, 2), 'utf8')
+                await fs.rename(tmpPath, this.filePath)
+
+                log.debug('Manifest saved', { path: this.filePath })
+            } catch (error) {
+                log.error('Failed to save manifest', error, { path: this.filePath })
+            }
+        })
+
+        return this.saving
+    }
+
+    // Batch page updates into a single write
+    _scheduleSave() {
+        if (this.saveTimer) return
+        this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY)
+    }
+
+    getChapter(key) {
+        return this.data.chapters[key] || null
+    }
+
+    _ensureChapter(key, info = {}) {
+        if (!this.data.chapters[key]) {
+            this.data.chapters[key] = {
+                url: key,
+                chapterIndex: info.chapterIndex ?? null,
+                number: info.number ?? null,
+                volume: info.volume ?? null,
+                status: null,
+                pages: {}
+            }
+        }
+        return this.data.chapters[key]
+    }
+
+    /**
+     * Completed page entry, only if its file is still on disk with the recorded size
+     * @returns {Promise<Object|null>}
+     */
+    async getCompletedPage(key, pageNum) {
+        const page = this.getChapter(key)?.pages?.[pageNum]
+        if (!page || page.status !== ManifestStatus.DONE || !page.path) return null
+
+        try {
+            const stat = await fs.stat(page.path)
+            return stat.size === page.bytes ? page : null
+        } catch {
+            return null
+        }
+    }
+
+    /**
+     * Chapter is complete when it finished without failures and all files are still there
+     */
+    async isChapterComplete(key) {
+        const chapter = this.getChapter(key)
+        if (!chapter || chapter.status !== ManifestStatus.DONE) return false
+
+        const pageNums = Object.keys(chapter.pages)
+        if (!pageNums.length) return false
+
+        for (const pageNum of pageNums) {
+            if (!await this.getCompletedPage(key, pageNum)) return false
+        }
+
+        return true
+    }
+
+    /**
+     * Record a saved or failed page
+     * @param {string} key - Chapter url
+     * @param {Object} chapter - { chapterIndex, volume }
+     * @param {Object} page - { pageNum, src, path, bytes, hash } or { pageNum, src, error }
+     */
+    recordPage(key, chapter, page) {
+        const entry = this._ensureChapter(key, chapter)
+
+        entry.pages[page.pageNum] = {
+            pageNum: page.pageNum,
+            src: page.src || null,
+            path: page.path || null,
+            bytes: page.bytes ?? null,
+            hash: page.hash || null,
+            status: page.error ? ManifestStatus.FAILED : ManifestStatus.DONE,
+            ...(page.error && { error: page.error }),
+            updatedAt: new Date().toISOString()
+        }
+
+        this._scheduleSave()
+    }
+
+    /**
+     * Record the outcome of a chapter task and flush
+     * @param {string} key - Chapter url
+     * @param {Object} chapter - { chapterIndex, volume }
+     * @param {Object} result - Chapter result returned by the chapter task
+     */
+    async recordChapter(key, chapter, result) {
+        const entry = this._ensureChapter(key, chapter)
+
+        if (result.error) {
+            entry.status = ManifestStatus.FAILED
+            entry.error = result.error
+        } else {
+            const missing = result.expectedPages && (result.pages?.length || 0) < result.expectedPages
+
+            entry.status = result.failures?.length || missing
+                ? ManifestStatus.PARTIAL
+                : result.pages?.length ? ManifestStatus.DONE : ManifestStatus.FAILED
+            delete entry.error
+        }
+
+        entry.updatedAt = new Date().toISOString()
+
+        await this.save()
+    }
+
+    summary() {
+        const chapters = Object.values(this.data.chapters)
+        const count = status => chapters.filter(c => c.status === status).length
+
+        return {
+            chapters: chapters.length,
+            done: count(ManifestStatus.DONE),
+            partial: count(ManifestStatus.PARTIAL),
+            failed: count(ManifestStatus.FAILED)
+        }
+    }
+}
+
+export default Manifest
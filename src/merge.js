@@ -0,0 +1,179 @@
+import { createHash } from 'crypto'
+import { Book } from './models/book.js'
+
+// Lowercase alphanumerics only, so "One-Piece!" matches "one piece"
+export const normalizeTitle = (title) => (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '')
+
+// Name parts, so "Fujisawa Tohru" matches "Tohru Fujisawa"
+const nameTokens = (name) => (name || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(token => token.length > 1)
+
+// Years a few sources disagree on (serialization vs first volume)
+const YEAR_TOLERANCE = 1
+
+const intersects = (a, b) => [...a].some(item => b.has(item))
+
+/**
+ * Search results for the same series from several connectors
+ * Sources are ordered best first: more chapters, then more views
+ */
+export class BookCluster {
+    constructor(book, source) {
+        this.id = createHash('sha1')
+            .update(`${book.content_type}\n${normalizeTitle(book.title)}`)
+            .digest('hex')
+            .slice(0, 8)
+        this.content_type = book.content_type
+        this.titles = new Set()
+        this.authors = new Set()
+        this.years = new Set()
+        this.entries = [] // [{ book, source }], best source first
+
+        this.add(book, source)
+    }
+
+    /**
+     * Whether a book is the same series: shares a (alternative) title, and author / year
+     * don't contradict the cluster when both sides know them
+     */
+    matches(book) {
+        if (book.content_type !== this.content_type) return false
+
+        const titles = new Set([book.title, ...book.alternative_titles].map(normalizeTitle).filter(Boolean))
+        if (!intersects(titles, this.titles)) return false
+
+        const authors = new Set([book.author, book.artist].flatMap(nameTokens))
+        if (authors.size && this.authors.size && !intersects(authors, this.authors)) return false
+
+        if (book.year && this.years.size
+            && ![...this.years].some(year => Math.abs(year - book.year) <= YEAR_TOLERANCE)) return false
+
+        return true
+    }
+
+    /**
+     * Add a book from a connector (replaces the previous one for the same connector and link)
+     * @param {Book} book
+     * @param {Object} source - { connector, languages } languages the connector serves
+     */
+    add(book, { connector, languages = [] } = {}) {
+        const entry = {
+            book,
+            source: {
+                connector,
+                link: book.link,
+                title: book.title,
+                chapters: book.n_chaps,
+                score: book.score,
+                volumes: book.n_volumes,
+                languages: book.language ? [book.language] : [...languages],
+                status: book.status,
+                views: book.views
+            }
+        }
+
+        const index = this.entries.findIndex(({ source }) => source.connector === connector && source.link === book.link)
+        if (index >= 0) this.entries[index] = entry
+        else this.entries.push(entry)
+
+        ;[book.title, ...book.alternative_titles].map(normalizeTitle).filter(Boolean).forEach(title => this.titles.add(title))
+        ;[book.author, book.artist].flatMap(nameTokens).forEach(token => this.authors.add(token))
+        if (book.year) this.years.add(book.year)
+
+        this.entries.sort(({ source: a }, { source: b }) =>
+            (b.chapters ?? -1) - (a.chapters ?? -1) || (b.views ?? -1) - (a.views ?? -1))
+
+        return this
+    }
+
+    get sources() {
+        return this.entries.map(({ source }) => source)
+    }
+
+    // Best relevance among the sources (see ranking.js)
+    get score() {
+        const scores = this.entries.map(({ book }) => book.score).filter(score => typeof score === 'number')
+        return scores.length ? Math.max(...scores) : null
+    }
+
+    /**
+     * Single Book from every source, the best source's fields first
+     * @returns {Book}
+     */
+    getBook() {
+        const [best, ...others] = this.entries.map(({ book }) => book)
+        const merged = Book.from(best.toJSON(), best.connector)
+        others.forEach(book => merged.enrich(book))
+
+        // Other sources' titles become alternative titles
+        merged.alternative_titles = Book.parseList([...merged.alternative_titles, ...others.map(book => book.title)]
+            .filter(title => normalizeTitle(title) !== normalizeTitle(merged.title)))
+
+        return merged
+    }
+
+    toJSON() {
+        const { connector, link, files, ...book } = this.getBook().toJSON()
+
+        return {
+            id: this.id,
+            ...book,
+            score: this.score,
+            best: this.sources[0]?.connector ?? null,
+            sources: this.sources.map(source => ({ ...source }))
+        }
+    }
+}
+
+/**
+ * Groups search results from several connectors into BookClusters as they arrive
+ */
+export class SearchMerger {
+    constructor() {
+        this.clusters = []
+    }
+
+    /**
+     * Add a search result
+     * @param {Book} book - Result (deep results carry chapter counts)
+     * @param {Object} source - { connector, languages }
+     * @returns {BookCluster} The cluster the book joined or started
+     */
+    add(book, source = {}) {
+        const connector = source.connector ?? book.connector
+        const cluster = this.clusters.find(cluster => cluster.matches(book))
+
+        if (cluster) return cluster.add(book, { ...source, connector })
+
+        const created = new BookCluster(book, { ...source, connector })
+        const sameId = this.clusters.filter(other => other.id.split('-')[0] === created.id).length
+        if (sameId) created.id = `${created.id}-${sameId + 1}`
+
+        this.clusters.push(created)
+        return created
+    }
+
+    /**
+     * Clusters, the ones with more sources first
+     */
+    getClusters() {
+        return [...this.clusters].sort((a, b) => b.sources.length - a.sources.length)
+    }
+}
+
+/**
+ * Merge search() output (one entry per connector) into clusters
+ * @param {Array<{ connector, results }>} results
+ * @param {Object} languages - connector id -> languages it serves (optional)
+ * @returns {Array<BookCluster>}
+ */
+export function mergeResults(results, languages = {}) {
+    const merger = new SearchMerger()
+
+    for (const { connector, results: books = [] } of results) {
+        books.forEach(book => merger.add(book, { connector, languages: languages[connector] }))
+    }
+
+    return merger.getClusters()
+}
+
+export default SearchMerger
@@ -0,0 +1,282 @@
+import { ContentType } from "../capabilities.js"
+
+/**
+ * Publication status
+ */
+export const BookStatus = {
+    ONGOING: 'ongoing',
+    COMPLETED: 'completed',
+    HIATUS: 'hiatus',
+    CANCELLED: 'cancelled',
+    UNKNOWN: 'unknown'
+}
+
+// Raw status labels as connectors report them (it / en), matched lowercase
+const STATUS_LABELS = [
+    [BookStatus.ONGOING, /in corso|ongoing|publishing|releasing/],
+    [BookStatus.COMPLETED, /finito|concluso|completed?|finished/],
+    [BookStatus.HIATUS, /in pausa|sospeso|hiatus|on hold/],
+    [BookStatus.CANCELLED, /droppato|cancellato|interrotto|cancell?ed|dropped|discontinued/]
+]
+
+// Common file sizes as sites print them ("1.2MB", "850 KB")
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+
+/**
+ * Downloadable file of a book-type entry (one per format / mirror)
+ */
+export class BookFile {
+    /**
+     * @param {Object} data
+     * @param {string} data.url - Download (or mirror page) url
+     * @param {string} data.format - File format (epub, pdf, mobi, ...)
+     * @param {number|string} data.size - Size in bytes, or a label like "1.2MB"
+     * @param {string} data.language - ISO 639-1 language code (optional)
+     * @param {string} data.edition - Edition / publisher line (optional)
+     * @param {string} data.mirror - Mirror label (optional)
+     * @param {string} data.md5 - Content hash as published by the site (optional)
+     */
+    constructor(data = {}) {
+        this.url = Book._text(data.url)
+        this.format = Book._text(data.format)?.toLowerCase().replace(/^\./, '') || null
+        this.size = BookFile.parseSize(data.size)
+        this.language = Book._text(data.language)?.toLowerCase() || null
+        this.edition = Book._text(data.edition)
+        this.mirror = Book._text(data.mirror)
+        this.md5 = Book._text(data.md5)?.toLowerCase() || null
+    }
+
+    /**
+     * Bytes from a number or label ("1.2MB", "850 KB")
+     * @returns {number|null}
+     */
+    static parseSize(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null
+
+        const match = String(value ?? '').match(/(\d+(?:[.,]\d+)?)\s*(b|kb|mb|gb)\b/i)
+        if (!match) return null
+
+        return Math.round(parseFloat(match[1].replace(',', '.')) * SIZE_UNITS[match[2].toLowerCase()])
+    }
+
+    toJSON() {
+        return {
+            url: this.url,
+            format: this.format,
+            size: this.size,
+            language: this.language,
+            edition: this.edition,
+            mirror: this.mirror,
+            md5: this.md5
+        }
+    }
+}
+
+/**
+ * Book as returned by search, deep search and /book
+ * Every connector's getSearchResults / getEntryField output is mapped through it,
+ * so fields missing on a connector are null instead of absent
+ */
+export class Book {
+    /**
+     * @param {Object} data - Raw fields from a connector (link or url, title, banner, genres, ...)
+     * @param {string} data.connector - Connector id (optional)
+     * @param {string} data.content_type - ContentType of the connector (manga by default)
+     */
+    constructor(data = {}) {
+        this.connector = data.connector ?? null
+        this.content_type = data.content_type || ContentType.MANGA
+        this.link = Book._text(data.link ?? data.url)
+        this.title = Book._text(data.title)
+        this.alternative_titles = Book.parseList(data.alternative_titles)
+        this.banner = Book.parseBanner(data.banner)
+        this.author = Book._text(data.author)
+        this.artist = Book._text(data.artist)
+        this.genres = Book.parseList(data.genres)
+        this.type = Book._text(data.type)
+        this.status = Book.parseStatus(data.status)
+        this.views = Book.parseInteger(data.views)
+        this.year = Book.parseYear(data.year)
+        this.n_volumes = Book.parseInteger(data.n_volumes)
+        this.n_chaps = Book.parseInteger(data.n_chaps)
+        this.plot = Book._text(data.plot)
+
+        // Book-type entries (single files instead of chapters)
+        this.language = Book._text(data.language)?.toLowerCase() || null
+        this.publisher = Book._text(data.publisher)
+        this.edition = Book._text(data.edition)
+        this.isbn = Book.parseList(data.isbn)
+        this.files = (data.files || []).map(file => file instanceof BookFile ? file : new BookFile(file))
+
+        // Relevance to the search query (see ranking.js), null outside searches
+        this.score = typeof data.score === 'number' ? data.score : null
+    }
+
+    /**
+     * Map connector output to a Book
+     * @param {Object} data - Raw connector fields
+     * @param {string} connector - Connector id
+     * @returns {Book}
+     */
+    static from(data, connector = null) {
+        return new Book({ ...data, connector: connector ?? data?.connector })
+    }
+
+    /**
+     * Status enum from a raw label ("In corso", "Completed", ...)
+     * @returns {string} BookStatus value (unknown when unset or unrecognized)
+     */
+    static parseStatus(value) {
+        if (Object.values(BookStatus).includes(value)) return value
+
+        const label = Book._text(value)?.toLowerCase()
+        if (!label) return BookStatus.UNKNOWN
+
+        const match = STATUS_LABELS.find(([, pattern]) => pattern.test(label))
+        return match ? match[0] : BookStatus.UNKNOWN
+    }
+
+    /**
+     * Four digit year from a number or label ("Year: 2019", "2019-05-01")
+     * @returns {number|null}
+     */
+    static parseYear(value) {
+        const match = String(value ?? '').match(/\b(\d{4})\b/)
+        if (!match) return null
+
+        const year = parseInt(match[1])
+        return year >= 1900 && year <= new Date().getFullYear() + 1 ? year : null
+    }
+
+    /**
+     * Integer from a number or label, thousands separators dropped ("1.234", "1,234")
+     * @returns {number|null}
+     */
+    static parseInteger(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? Math.trunc(value) : null
+
+        const match = String(value ?? '').match(/\d[\d.,]*/)
+        return match ? parseInt(match[0].replace(/[.,]/g, '')) : null
+    }
+
+    /**
+     * Trimmed, non-empty, unique strings from an array or comma separated label
+     * @returns {Array<string>}
+     */
+    static parseList(value) {
+        if (!value) return []
+
+        const items = Array.isArray(value) ? value : String(value).split(',')
+        return [...new Set(items.map(item => Book._text(item)).filter(Boolean))]
+    }
+
+    /**
+     * Banner urls from a string or { full_size, half_size }
+     * @returns {{ full_size: string|null, half_size: string|null }|null}
+     */
+    static parseBanner(value) {
+        if (!value) return null
+
+        const banner = typeof value === 'string'
+            ? { full_size: Book._text(value), half_size: null }
+            : { full_size: Book._text(value.full_size), half_size: Book._text(value.half_size) }
+
+        if (!banner.full_size && !banner.half_size) return null
+        return { full_size: banner.full_size || banner.half_size, half_size: banner.half_size }
+    }
+
+    static _text(value) {
+        if (typeof value !== 'string') return value ?? null
+        return value.replace(/\s+/g, ' ').trim() || null
+    }
+
+    /**
+     * Copy fields from another Book (usually a metadata-only connector's)
+     * Lists are merged, other fields only fill gaps unless listed in override
+     * @param {Book} source - Book to read fields from
+     * @param {Object} opt
+     * @param {Array<string>} opt.fields - Fields to copy (default: all but connector / link)
+     * @param {Array<string>} opt.override - Fields where the source value wins over an existing one
+     * @returns {Book} this
+     */
+    enrich(source, { fields = null, override = [] } = {}) {
+        if (!source) return this
+
+        const keys = fields || Object.keys(this.toJSON())
+            .filter(key => !['connector', 'content_type', 'link', 'files', 'score'].includes(key))
+
+        for (const key of keys) {
+            const value = source[key]
+            const current = this[key]
+
+            if (Array.isArray(current)) {
+                this[key] = [...new Set([...current, ...(value || [])])]
+            } else if (value !== null && value !== undefined && value !== BookStatus.UNKNOWN
+                && (override.includes(key) || current === null || current === BookStatus.UNKNOWN)) {
+                this[key] = value
+            }
+        }
+
+        return this
+    }
+
+    /**
+     * Check required fields
+     * @throws {Error} When title or link are missing or the link is not an http(s) url
+     * @returns {Book}
+     */
+    validate() {
+        const errors = []
+
+        if (!this.title) errors.push('title is required')
+        if (!this.link) errors.push('link is required')
+        else if (!/^https?:\/\//.test(this.link)) errors.push(`link is not an http(s) url: ${this.link}`)
+
+        if (errors.length) {
+            throw new Error(`Invalid book${this.connector ? ` from ${this.connector}` : ''}: ${errors.join(', ')}`)
+        }
+
+        return this
+    }
+
+    /**
+     * Whether validate() would pass
+     */
+    isValid() {
+        try {
+            this.validate()
+            return true
+        } catch {
+            return false
+        }
+    }
+
+    toJSON() {
+        return {
+            connector: this.connector,
+            content_type: this.content_type,
+            link: this.link,
+            title: this.title,
+            alternative_titles: this.alternative_titles,
+            banner: this.banner,
+            author: this.author,
+            artist: this.artist,
+            genres: this.genres,
+            type: this.type,
+            status: this.status,
+            views: this.views,
+            year: this.year,
+            n_volumes: this.n_volumes,
+            n_chaps: this.n_chaps,
+            plot: this.plot,
+            language: this.language,
+            publisher: this.publisher,
+            edition: this.edition,
+            isbn: this.isbn,
+            files: this.files.map(file => file.toJSON()),
+            score: this.score
+        }
+    }
+}
+
+export default Book
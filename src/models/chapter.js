@@ -0,0 +1,75 @@
+import { Url } from "../utils.js"
+
+/**
+ * Chapter as listed by a connector's getAllChapterLinks
+ */
+export class Chapter {
+    /**
+     * @param {Object} data
+     * @param {Url|string} data.url - Chapter reader url
+     * @param {number|string} data.number - Chapter number, decimals allowed (e.g. 10.5)
+     * @param {string} data.title - Chapter title (optional)
+     * @param {string} data.language - ISO 639-1 language code (optional)
+     * @param {string} data.group - Scanlation group (optional)
+     * @param {Date|string} data.uploadedAt - Upload date (optional)
+     * @param {number} data.volume - Volume number (optional, usually set by the volume list)
+     */
+    constructor(data = {}) {
+        this.url = data.url instanceof Url ? data.url : Url.fromString(data.url)
+        this.number = Chapter.parseNumber(data.number)
+        this.title = Chapter._text(data.title)
+        this.language = Chapter._text(data.language)?.toLowerCase() || null
+        this.group = Chapter._text(data.group)
+        this.uploadedAt = Chapter.parseDate(data.uploadedAt)
+        this.volume = data.volume ?? null
+    }
+
+    /**
+     * Extract the chapter number from a number or label ("Capitolo 10.5", "Ch. 10,5")
+     * @returns {number|null}
+     */
+    static parseNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null
+        if (!value) return null
+
+        const match = String(value).match(/(\d+(?:[.,]\d+)?)/)
+        return match ? parseFloat(match[1].replace(',', '.')) : null
+    }
+
+    /**
+     * Normalize a date to an ISO string
+     * @returns {string|null}
+     */
+    static parseDate(value) {
+        if (!value) return null
+
+        const date = value instanceof Date ? value : new Date(value)
+        return isNaN(date.getTime()) ? null : date.toISOString()
+    }
+
+    static _text(value) {
+        if (typeof value !== 'string') return value ?? null
+        return value.replace(/\s+/g, ' ').trim() || null
+    }
+
+    /**
+     * Identity used by manifests and diffs
+     */
+    get key() {
+        return this.url.render()
+    }
+
+    toJSON() {
+        return {
+            number: this.number,
+            title: this.title,
+            language: this.language,
+            group: this.group,
+            uploadedAt: this.uploadedAt,
+            volume: this.volume,
+            url: this.url.render()
+        }
+    }
+}
+
+export default Chapter
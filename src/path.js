@@ -1,6 +1,7 @@
 import path from 'path'
 import fs from 'fs/promises'
 import log from './log.js'
+import { ContentType } from './capabilities.js'
 
 /**
  * Parses and resolves output path patterns with variable substitution
@@ -11,11 +12,17 @@ import log from './log.js'
  * - "downloads/$title/$vol-$chap-$page.$ext"
  * - "manga/$title/volume_$vol/chapter_$chap_page_$page.$ext"
  * - "output/chapter_$chap/page_$page.$ext" (no title needed)
+ *
+ * Books (single file, no chapters or pages) only take $title and $ext:
+ * - "books/$title.$ext"
  */
 
 const DEFAULT_PATTERN = 'output/chapter_$chap/page_$page.$ext'
 const DEFAULT_EXTENSION = 'png'
 
+const VARIABLES = ['$title', '$vol', '$chap', '$page', '$ext']
+export const BOOK_VARIABLES = ['$title', '$ext']
+
 export class Path {
     constructor(pattern = DEFAULT_PATTERN, defaultExt = DEFAULT_EXTENSION) {
         this.pattern = pattern || DEFAULT_PATTERN
@@ -127,10 +134,10 @@ export class Path {
         return resolved
     }
 
-    // Pad numbers to 2 digits by default
+    // Pad numbers to 2 digits by default, decimals pad the integer part only (10.5 -> 10.5, 3.5 -> 03.5)
     _pad(value, length = 2) {
-        const str = String(value)
-        return str.padStart(length, '0')
+        const [int, ...rest] = String(value).split('.')
+        return [int.padStart(length, '0'), ...rest].join('.')
     }
 
     // Sanitize title for filesystem use
@@ -157,16 +164,16 @@ export class Path {
 
     /**
      * Validate the pattern for correctness
+     * @param {Array<string>} validVars - Allowed variables (BOOK_VARIABLES for book patterns)
      * @returns {Object} Validation result with isValid and errors
      */
-    validate() {
+    validate(validVars = VARIABLES) {
         const errors = []
         const warnings = []
 
         // Check for invalid variable names
         const invalidVars = this.pattern.match(/\$[a-zA-Z_]+/g)
         if (invalidVars) {
-            const validVars = ['$title', '$vol', '$chap', '$page', '$ext']
             const invalid = invalidVars.filter(v => !validVars.includes(v))
             if (invalid.length > 0) {
                 errors.push(`Invalid variables found: ${invalid.join(', ')}. Valid: ${validVars.join(', ')}`)
@@ -201,7 +208,7 @@ export class Path {
             .replace(/[.*+?^${}()|[\]\\]/g, '\\$&') // Escape regex special chars
             .replace(/\\\$title/g, '(?<title>[^/\\\\]+)')
             .replace(/\\\$vol/g, '(?<vol>\\d+)')
-            .replace(/\\\$chap/g, '(?<chap>\\d+)')
+            .replace(/\\\$chap/g, '(?<chap>\\d+(?:\\.\\d+)?)')
             .replace(/\\\$page/g, '(?<page>\\d+)')
             .replace(/\\\$ext/g, '(?<ext>[a-zA-Z0-9]+)')
 
@@ -240,6 +247,42 @@ export class Path {
         return path.basename(fullPath)
     }
 
+    /**
+     * Get the output root: leading directories of the pattern that only depend on $title
+     * e.g. "downloads/$title/vol-$vol/$page.$ext" -> "downloads/Title"
+     * @param {Object} vars - Variables to substitute (only title is used)
+     * @returns {string} Root directory path
+     */
+    getRoot(vars = {}) {
+        const rootPattern = this._getRootPattern()
+        if (!rootPattern) return '.'
+
+        return new Path(rootPattern, this.defaultExt).resolve({ title: vars.title })
+    }
+
+    /**
+     * Pattern for a book file under the same root: "downloads/$title/vol-$vol/$page.$ext" -> "downloads/$title/$title.$ext"
+     * @returns {string}
+     */
+    toBookPattern() {
+        const rootPattern = this._getRootPattern()
+        return rootPattern ? `${rootPattern}/$title.$ext` : '$title.$ext'
+    }
+
+    // Leading directories of the pattern without $vol / $chap / $page / $ext
+    _getRootPattern() {
+        const segments = this.pattern.split(/[\\/]/)
+        segments.pop() // Filename
+
+        const rootSegments = []
+        for (const segment of segments) {
+            if (/\$(vol|chap|page|ext)/.test(segment)) break
+            rootSegments.push(segment)
+        }
+
+        return rootSegments.join('/')
+    }
+
     // Clear the cached created directories
     clearCache() {
         this.createdDirs.clear()
@@ -247,9 +290,9 @@ export class Path {
     }
 }
 
-export function createPath(pattern, defaultExt = DEFAULT_EXTENSION) {
+export function createPath(pattern, defaultExt = DEFAULT_EXTENSION, validVars = VARIABLES) {
     const parser = new Path(pattern, defaultExt)
-    const validation = parser.validate()
+    const validation = parser.validate(validVars)
 
     if (!validation.isValid) {
         log.error('Invalid path pattern', new Error(validation.errors.join('; ')), { pattern })
@@ -271,12 +314,19 @@ export function createPath(pattern, defaultExt = DEFAULT_EXTENSION) {
  * @param {Object} options - Options object
  * @param {string} options.outputPath - Output path pattern
  * @param {string} options.outputExt - Default extension
+ * @param {string} options.contentType - ContentType.BOOK for single file downloads
+ * @param {string} options.bookPath - Book file pattern (default: "$title.$ext" under the outputPath root)
  * @returns {Path}
  */
 export function parseOutputOptions(options = {}) {
     const pattern = options.outputPath || DEFAULT_PATTERN
     const ext = options.outputExt || DEFAULT_EXTENSION
 
+    if (options.contentType === ContentType.BOOK) {
+        const bookPattern = options.bookPath || new Path(pattern).toBookPattern()
+        return createPath(bookPattern, ext, BOOK_VARIABLES)
+    }
+
     return createPath(pattern, ext)
 }
 
@@ -0,0 +1,125 @@
+import { normalizeTitle } from './merge.js'
+
+/**
+ * Search result orders
+ */
+export const SortOrder = {
+    RELEVANCE: 'relevance', // Best match for the query first
+    YEAR: 'year',           // Newest first, relevance on ties
+    TITLE: 'title'          // Alphabetical, relevance on ties
+}
+
+// Match kinds, best first: a main title match beats the same match on an alternative title
+const EXACT = 1
+const PREFIX = 0.85
+const CONTAINS = 0.75
+const FUZZY = 0.7              // Ceiling for fuzzy matches
+const ALTERNATIVE = 0.95       // Alternative titles weigh a bit less than the main one
+const POPULARITY = 0.1         // Ceiling of the views bonus
+const POPULAR_VIEWS = 1e7      // Views giving the full bonus
+
+// Words for token overlap, "One Piece: Film Red" -> ['one', 'piece', 'film', 'red']
+const words = (title) => (title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+
+// Edit distance between two strings (two rows)
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i]
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            )
+        }
+        previous = current
+    }
+
+    return previous[b.length]
+}
+
+/**
+ * Similarity of a title to the query, 0..1
+ */
+const titleScore = (title, query) => {
+    const normalized = normalizeTitle(title)
+    const normalizedQuery = normalizeTitle(query)
+    if (!normalized || !normalizedQuery) return 0
+
+    if (normalized === normalizedQuery) return EXACT
+    if (normalized.startsWith(normalizedQuery)) return PREFIX
+    if (normalized.includes(normalizedQuery)) return CONTAINS
+
+    const edit = 1 - levenshtein(normalized, normalizedQuery) / Math.max(normalized.length, normalizedQuery.length)
+
+    const titleWords = new Set(words(title))
+    const queryWords = words(query)
+    const overlap = queryWords.filter(word => titleWords.has(word)).length / (new Set([...titleWords, ...queryWords]).size || 1)
+
+    return FUZZY * Math.max(edit, overlap)
+}
+
+/**
+ * Relevance of a Book to a query: best of its title and alternative titles,
+ * plus an optional bonus from views
+ * @param {Book} book
+ * @param {string} query - Searched title
+ * @param {Object} opt
+ * @param {boolean} opt.popularity - Add up to 0.1 for views (default: false)
+ * @returns {number} Score, 0..1 (1.1 with popularity), 3 decimals
+ */
+export function scoreBook(book, query, { popularity = false } = {}) {
+    const score = Math.max(
+        titleScore(book.title, query),
+        ...(book.alternative_titles || []).map(title => titleScore(title, query) * ALTERNATIVE)
+    )
+
+    const bonus = popularity && book.views
+        ? POPULARITY * Math.min(1, Math.log10(book.views + 1) / Math.log10(POPULAR_VIEWS))
+        : 0
+
+    return Math.round((score + bonus) * 1000) / 1000
+}
+
+/**
+ * Validate a sort order
+ */
+export function getSortOrder(sort = SortOrder.RELEVANCE) {
+    if (!Object.values(SortOrder).includes(sort)) {
+        throw new Error(`Invalid sort: ${sort}. Valid: ${Object.values(SortOrder).join(', ')}`)
+    }
+    return sort
+}
+
+/**
+ * Comparator for items carrying score / year / title (Books or BookClusters as JSON)
+ */
+export function compareResults(sort = SortOrder.RELEVANCE) {
+    const byScore = (a, b) => (b.score ?? 0) - (a.score ?? 0)
+
+    switch (getSortOrder(sort)) {
+        case SortOrder.YEAR:
+            return (a, b) => (b.year ?? -Infinity) - (a.year ?? -Infinity) || byScore(a, b)
+        case SortOrder.TITLE:
+            return (a, b) => (a.title || '').localeCompare(b.title || '') || byScore(a, b)
+        default:
+            return byScore
+    }
+}
+
+/**
+ * Score Books against a query and sort them
+ * @param {Array<Book>} books - Scored in place (book.score)
+ * @param {string} query - Searched title
+ * @param {Object} opt - { sort, popularity }
+ * @returns {Array<Book>} New sorted array
+ */
+export function rankBooks(books, query, { sort = SortOrder.RELEVANCE, popularity = false } = {}) {
+    for (const book of books) {
+        book.score = scoreBook(book, query, { popularity })
+    }
+
+    return [...books].sort(compareResults(sort))
+}
@@ -0,0 +1,298 @@
+import log from './log.js'
+import { RateLimiter } from './ratelimit.js'
+import { getSettings } from './settings.js'
+import { getCapabilities } from './capabilities.js'
+import { describeConnector } from './driver.js'
+import { SeriesStatus } from './library.js'
+import { parseDuration } from './utils.js'
+
+// Check interval when neither the series nor its connector set one
+export const DEFAULT_CHECK_INTERVAL = process.env.CHECK_INTERVAL || '1d'
+
+// Shortest interval accepted, so a typo doesn't hammer a site
+const MIN_INTERVAL_MS = 15 * 60 * 1000
+
+// How often due series are looked for
+const TICK_MS = 60 * 1000
+
+// Checks per second on connectors without a configured rate limit (one every 5s)
+const DEFAULT_CHECK_RATE = 0.2
+
+/**
+ * Parse a check interval: "30m", "6h", "1d", "2w" or milliseconds
+ * @returns {number} Milliseconds
+ * @throws {Error} On bad values or intervals under 15 minutes
+ */
+export function parseInterval(value) {
+    let ms
+    try {
+        ms = parseDuration(value)
+    } catch {
+        throw new Error(`Invalid interval: ${value}. Use a number with s, m, h, d or w (e.g. 6h)`)
+    }
+    if (ms < MIN_INTERVAL_MS) {
+        throw new Error(`Invalid interval: ${value}. Minimum is 15m`)
+    }
+    return ms
+}
+
+/**
+ * Periodic new-chapter checks for the followed series of a Library
+ * Due checks are read from the library (checkedAt + interval) and queued downloads from its
+ * chapters (queuedAt), so both pick up where they were after a restart
+ *
+ * Interval: series.schedule.interval, then the connector's checkInterval in settings.json, then CHECK_INTERVAL
+ * Downloads: series.schedule.download queues new chapters through process() with the series options
+ */
+export class Scheduler {
+    /**
+     * @param {Library} library
+     * @param {Object} opt
+     * @param {Function} opt.getExecution - Returns the Scraper to use (the API swaps it on /setup)
+     * @param {Function} opt.onEvent - Called with { event, series, ... } on new chapters and downloads
+     */
+    constructor(library, { getExecution, onEvent = null } = {}) {
+        this.library = library
+        this.getExecution = getExecution
+        this.onEvent = onEvent
+        this.timer = null
+        this.checking = false
+        this.rateLimiters = new Map() // connector -> { limiter, rate }
+        this.downloads = Promise.resolve()
+        this.pending = new Set() // series ids with a download queued or running
+    }
+
+    /**
+     * Start checking, resuming downloads queued before a restart
+     * @throws {Error} On an invalid CHECK_INTERVAL, which would fail every check
+     */
+    async start() {
+        if (this.timer) return
+        parseInterval(DEFAULT_CHECK_INTERVAL)
+
+        for (const { id } of this.library.list()) {
+            if (this.library.getQueued(id).length) this._queueDownload(id)
+        }
+
+        // Settings or CHECK_INTERVAL errors are logged, the next tick tries again
+        const tick = () => this.tick().catch(error => log.error('Scheduled checks failed', error))
+
+        this.timer = setInterval(tick, TICK_MS)
+        this.timer.unref?.()
+        log.info('Scheduler started', { series: this.library.list().length, defaultInterval: DEFAULT_CHECK_INTERVAL })
+
+        tick()
+    }
+
+    stop() {
+        if (!this.timer) return
+        clearInterval(this.timer)
+        this.timer = null
+        log.info('Scheduler stopped')
+    }
+
+    /**
+     * Check interval of a series
+     * @returns {Promise<number>} Milliseconds
+     */
+    async getInterval(series) {
+        const settings = await getSettings()
+        const interval = series.schedule?.interval
+            ?? settings.getAllDriverConfigs()[series.connector]?.checkInterval
+            ?? DEFAULT_CHECK_INTERVAL
+        return parseInterval(interval)
+    }
+
+    /**
+     * Set the check interval of every series of a connector (null to unset)
+     */
+    async setConnectorInterval(connector, interval) {
+        if (interval !== null) parseInterval(interval)
+
+        const settings = await getSettings()
+        await settings.updateDriverConfig(connector, { checkInterval: interval })
+    }
+
+    /**
+     * Whether a series is checked: followed, and its connector lists chapters
+     */
+    isScheduled(series) {
+        if (series.status !== SeriesStatus.FOLLOWING) return false
+        try {
+            return !!getCapabilities(describeConnector(series.connector)).chapters
+        } catch {
+            return false // Connector removed
+        }
+    }
+
+    /**
+     * When a series is checked next
+     * @returns {Promise<Date|null>} null when not scheduled
+     */
+    async getNextCheck(series) {
+        if (!this.isScheduled(series)) return null
+        if (!series.checkedAt) return new Date()
+        return new Date(new Date(series.checkedAt).getTime() + await this.getInterval(series))
+    }
+
+    /**
+     * Scheduled series with their interval and next check
+     */
+    async getStatus() {
+        const settings = await getSettings()
+        const connectors = Object.fromEntries(Object.entries(settings.getAllDriverConfigs())
+            .filter(([, config]) => config.checkInterval)
+            .map(([connector, config]) => [connector, config.checkInterval]))
+
+        const series = []
+        for (const entry of this.library.list()) {
+            const nextCheck = await this.getNextCheck(entry)
+            series.push({
+                id: entry.id,
+                title: entry.title,
+                connector: entry.connector,
+                status: entry.status,
+                interval: nextCheck ? await this.getInterval(entry) : null,
+                download: !!entry.schedule?.download,
+                checkedAt: entry.checkedAt,
+                nextCheckAt: nextCheck?.toISOString() ?? null,
+                check: entry.check,
+                queued: this.library.getQueued(entry.id).length
+            })
+        }
+
+        return {
+            running: !!this.timer,
+            checking: this.checking,
+            defaultInterval: DEFAULT_CHECK_INTERVAL,
+            connectors,
+            downloads: [...this.pending],
+            series
+        }
+    }
+
+    /**
+     * Check every due series, one at a time
+     * @returns {Promise<number>} Series checked
+     */
+    async tick() {
+        if (this.checking) return 0
+        this.checking = true
+
+        let checked = 0
+        try {
+            const now = Date.now()
+            for (const { id } of this.library.list()) {
+                const series = this.library.get(id)
+                const nextCheck = series && await this.getNextCheck(series)
+                if (!nextCheck || nextCheck.getTime() > now) continue
+
+                try {
+                    await this.check(id)
+                } catch {
+                    // Recorded on the series, next one
+                }
+                checked++
+            }
+        } finally {
+            this.checking = false
+        }
+
+        if (checked) log.info('Scheduled checks done', { checked })
+        return checked
+    }
+
+    /**
+     * Read a series page and diff its chapters with the known ones
+     * Queues a download of the new chapters when the series asks for it
+     * @returns {Promise<Array>} New chapters
+     */
+    async check(id) {
+        const series = this.library.get(id)
+        if (!series) throw new Error(`Series not found: ${id}`)
+
+        await (await this._getRateLimiter(series.connector)).throttle()
+
+        let added
+        try {
+            const latest = await this.getExecution().getSeries(series.url, series.connector, { fresh: true })
+            added = await this.library.refresh(id, latest)
+        } catch (error) {
+            log.error('Series check failed', error, { id, connector: series.connector })
+            await this.library.failCheck(id, error)
+            throw error
+        }
+
+        log.info('Series checked', { id, title: series.title, added: added.length })
+
+        if (added.length) {
+            this._emit({ event: 'chapters', series: this.library.summarize(series), chapters: added })
+            if (series.schedule?.download) await this.library.queueChapters(id, added)
+        }
+        if (series.schedule?.download && this.library.getQueued(id).length) this._queueDownload(id)
+
+        return added
+    }
+
+    // Download queued chapters of a series after the downloads already queued
+    _queueDownload(id) {
+        if (this.pending.has(id)) return
+        this.pending.add(id)
+
+        this.downloads = this.downloads
+            .then(() => this._download(id))
+            .catch(error => log.error('Scheduled download failed', error, { id }))
+            .finally(() => this.pending.delete(id))
+    }
+
+    async _download(id) {
+        const series = this.library.get(id)
+        const queued = this.library.getQueued(id)
+        if (!series || !queued.length) return
+
+        const execution = this.getExecution().copy()
+        execution.opt.onItem = item => this._emit({ event: 'item', series: this.library.summarize(series), item })
+
+        log.info('Downloading new chapters', { id, title: series.title, chapters: queued.length })
+
+        try {
+            // Same options as the series' other downloads, only the queued chapters
+            const results = await execution.process('default', 'sequential', {
+                ...series.options,
+                target: series.url,
+                title: series.title,
+                resume: true,
+                chapters: queued.map(chapter => chapter.number ?? chapter.chapterIndex).join(',')
+            })
+            await this.library.recordDownloads(id, results)
+            this._emit({ event: 'download', series: this.library.summarize(series), results })
+        } catch (error) {
+            this._emit({ event: 'download', series: this.library.summarize(series), error: error.message })
+            throw error
+        }
+    }
+
+    // One limiter per connector at its settings.json rate, checks spaced even without one
+    async _getRateLimiter(connector) {
+        const settings = await getSettings()
+        const rate = settings.getAllDriverConfigs()[connector]?.reqsPerSecond || DEFAULT_CHECK_RATE
+
+        const entry = this.rateLimiters.get(connector)
+        if (entry?.rate === rate) return entry.limiter
+
+        const limiter = RateLimiter({ mode: 'manual', reqsPerSecond: rate })
+        this.rateLimiters.set(connector, { limiter, rate })
+        return limiter
+    }
+
+    _emit(event) {
+        if (!this.onEvent) return
+        try {
+            this.onEvent(event)
+        } catch (error) {
+            log.warn('Scheduler event handler failed', { event: event.event, error: error.message })
+        }
+    }
+}
+
+export default Scheduler
@@ -1,10 +1,107 @@
 import { Url, ProxyPool } from "./utils.js"
 import log from "./log.js"
 import { parseOutputOptions } from "./path.js"
-import { DriverPool, Connectors } from "./driver.js"
+import { ImageDownloader, detectFileFormat } from "./downloader.js"
+import { Manifest } from "./manifest.js"
+import { Chapter } from "./models/chapter.js"
+import { Book } from "./models/book.js"
+import { parseSelection, selectChapters } from "./selection.js"
+import { getExporters, getExportGroup, exportResults, exportBook } from "./export/index.js"
+import { DriverPool, Connectors, describeConnector } from "./driver.js"
+import { Job, ContentType, ANY_LANGUAGE, assertCanDo, canDo, getCapabilities, getProcessJob, isMetadataOnly, supportsLanguage } from "./capabilities.js"
 import { NavigationLock, ContextMode } from "./navigation.js"
 import { WorkerPool, TaskFactory } from "./worker.js"
 import { getSettings } from "./settings.js"
+import { SearchMerger, normalizeTitle } from "./merge.js"
+import { SearchFilter, parseSearchFilters, getActiveFilters, matchesFilters } from "./filters.js"
+import { SortOrder, getSortOrder, scoreBook, rankBooks, compareResults } from "./ranking.js"
+import { CacheKind, getMetadataCache } from "./cache.js"
+
+/**
+ * Scraping methods
+ */
+export const ScrapeMethod = {
+    DEFAULT: 'default', // Render every reader page and read its image
+    BRUTE: 'brute'      // Render the first reader page, then walk the CDN file index over plain HTTP
+}
+
+// Search result pages read per connector (the first one) unless opt.maxPages says otherwise
+const DEFAULT_SEARCH_PAGES = 1
+
+// Extensions tried on a brute miss before giving up on the chapter
+const BRUTE_EXTENSIONS = ['jpg', 'png', 'webp', 'jpeg']
+
+/**
+ * Search result matching a book: exact (alternative) title first, then containment
+ */
+const findMatchingBook = (book, candidates) => {
+    const titles = [book.title, ...book.alternative_titles].map(normalizeTitle).filter(Boolean)
+    const candidateTitles = candidate => [candidate.title, ...candidate.alternative_titles].map(normalizeTitle).filter(Boolean)
+
+    return candidates.find(candidate => candidateTitles(candidate).some(title => titles.includes(title)))
+        || candidates.find(candidate => candidateTitles(candidate).some(title =>
+            titles.some(own => title.includes(own) || own.includes(title))))
+        || null
+}
+
+/**
+ * Flatten getAllChapterLinks volumes into one numbered list
+ * @returns {Array<{ url, volume, chapterIndex, number, chapter }>}
+ */
+const flattenChapters = (volumes) => {
+    const allChapters = []
+    for (const volume of volumes) {
+        for (const link of volume.chapters) {
+            const chapter = link instanceof Chapter ? link : new Chapter({ url: link })
+            const chapterIndex = allChapters.length + 1
+            allChapters.push({
+                url: chapter.url,
+                volume: chapter.volume ?? volume.volume,
+                chapterIndex,
+                // Real chapter number when the connector knows it, list position otherwise
+                number: chapter.number ?? chapterIndex,
+                chapter
+            })
+        }
+    }
+    return allChapters
+}
+
+/**
+ * getAllChapterLinks volumes as JSON for the metadata cache, and back
+ */
+const serializeVolumes = (volumes) => volumes.map(volume => ({
+    ...volume,
+    chapters: volume.chapters.map(link => (link instanceof Chapter ? link : new Chapter({ url: link })).toJSON())
+}))
+const deserializeVolumes = (volumes) => volumes.map(volume => ({
+    ...volume,
+    chapters: volume.chapters.map(chapter => new Chapter(chapter))
+}))
+
+// Nothing read: null, blank, empty list or NaN
+const isEmptyValue = (value) => value === null || value === undefined
+    || (typeof value === 'string' && !value.trim())
+    || (Array.isArray(value) && !value.length)
+    || (typeof value === 'number' && isNaN(value))
+
+// Canary search when the connector doesn't declare one
+const DEFAULT_CANARY = 'One Piece'
+
+// Book JSON for the metadata cache: the score belongs to a search, not to the book
+const cacheableBook = (book) => {
+    const { score, ...data } = book.toJSON()
+    return data
+}
+
+/**
+ * Page src from whatever getPage returned: element handle, { src } or plain string
+ */
+const resolvePageSource = async (pageRef) => {
+    if (typeof pageRef === 'string') return pageRef
+    if (typeof pageRef?.getAttribute === 'function') return await pageRef.getAttribute('src')
+    return pageRef?.src || null
+}
 
 export class Scraper {
     constructor(opt = {}) {
@@ -30,6 +127,9 @@ export class Scraper {
 
         this.settings = null
         this.settingsPromise = null
+
+        // Detail page reads, shared by every instance (see cache.js)
+        this.cache = getMetadataCache()
     }
 
     static withOptions(opt = {}) {
@@ -79,14 +179,22 @@ export class Scraper {
             })
         }
 
-        // Create driver pool if not exists or missing connectors
-        if (!this.drivers || !connectorIds.every(id => this.drivers.hasDriver(id))) {
-            if (this.drivers) {
-                await this.drivers.dispose()
+        // Add missing connectors to the pool, the drivers of running jobs stay as they are
+        if (this.drivers) {
+            const missing = connectorIds.filter(id => !this.drivers.hasDriver(id))
+
+            for (const connectorId of missing) {
+                await this.drivers.addDriver(connectorId, 'chromium', this.proxies.getProxy() || null)
             }
 
+            if (missing.length) {
+                log.success('Drivers added', { connectors: missing, contextMode: this.opt.contextMode })
+            }
+        } else {
             this.drivers = await DriverPool.withConnectors(connectorIds, {
                 contextMode: this.opt.contextMode,
+                captureMode: this.opt.captureMode || null, // Per-connector default if null
+                session: this.opt.session || null, // Record / replay (see session.js)
                 proxyPool: this.proxies
             })
 
@@ -114,31 +222,54 @@ export class Scraper {
 
     /**
      * Search for manga across connectors
+     * With opt.merge, results of every connector are clustered per series (see merge.js):
+     * clusters are streamed as they change and returned instead of the per-connector results
+     * Filters (see filters.js) a connector can't apply through its search url are checked on
+     * deep results, so connectors needing them are searched deep
+     * Results are scored against the title (see ranking.js) and sorted by opt.sort
      */
     async search(title, connector_id = '*', opt = {}) {
         const startTime = Date.now()
-        const { sequential = false, deep = false } = opt
+        const { sequential = false, deep = false, popularity = false } = opt
+        const sort = getSortOrder(opt.sort || SortOrder.RELEVANCE)
+        const merger = opt.merge ? new SearchMerger() : null
+        const filters = parseSearchFilters(opt)
 
         // Determine which connectors to use
-        const connectorIds = connector_id === '*' 
-            ? Object.keys(Connectors)
-            : [connector_id]
+        const connectorIds = this.getConnectorIds(connector_id, Job.SEARCH, opt)
+
+        // Metadata-only connectors enriching deep results
+        const enrichers = deep ? this.resolveEnrichers(opt.enrich) : []
 
         // Initialize system
-        await this._initialize(connectorIds)
+        await this._initialize([...new Set([...connectorIds, ...enrichers])])
 
         log.info('Starting search', {
             title,
             connectors: connectorIds,
             mode: sequential ? 'sequential' : 'parallel',
             deep,
+            enrich: enrichers,
+            filters: getActiveFilters(filters),
             concurrency: this.opt.concurrency
         })
 
         // Create search tasks for each connector
-        const searchTasks = connectorIds.map(connId => 
-            this._createSearchTask(connId, title, { deep })
-        )
+        const searchTasks = connectorIds.map(connId => {
+            const postFilters = this._getPostFilters(connId, filters)
+
+            return this._createSearchTask(connId, title, {
+                deep: deep || postFilters.length > 0,
+                enrichers,
+                merger,
+                filters,
+                postFilters,
+                popularity,
+                fresh: !!opt.fresh,
+                maxPages: opt.maxPages || DEFAULT_SEARCH_PAGES,
+                maxResults: opt.maxResults || null
+            })
+        })
 
         // Execute tasks
         let initialResults
@@ -162,9 +293,11 @@ export class Scraper {
                 log.debug('Awaiting deep task resolution', { connector: res.connector, count: res.deepTaskPromises.length });
                 
                 try {
-                    const deepItems = await Promise.all(res.deepTaskPromises);
+                    // Entries failing the filters resolve to null
+                    const deepItems = (await Promise.all(res.deepTaskPromises)).filter(Boolean);
                     finalResults.push({
                         ...res,
+                        count: deepItems.length,
                         results: deepItems, // Replace shallow results with deep results
                         deepTaskPromises: undefined // Clean up
                     });
@@ -178,6 +311,11 @@ export class Scraper {
             }
         }
 
+        // Best matches first (scores were set as results arrived)
+        for (const result of finalResults) {
+            result.results = rankBooks(result.results || [], title, { sort, popularity })
+        }
+
         const totalResults = finalResults.reduce((sum, r) => sum + (r.count || 0), 0)
         const duration = ((Date.now() - startTime) / 1000).toFixed(2)
 
@@ -185,17 +323,75 @@ export class Scraper {
             duration: `${duration}s`,
             title,
             connectors: finalResults.length,
-            totalResults
+            totalResults,
+            ...(merger && { clusters: merger.clusters.length })
         })
 
-        return finalResults
+        if (!merger) return finalResults
+
+        const compare = compareResults(sort)
+        return merger.getClusters()
+            .map(cluster => ({ cluster, json: cluster.toJSON() }))
+            .sort((a, b) => compare(a.json, b.json))
+            .map(({ cluster }) => cluster)
+    }
+
+    /**
+     * Active filters a connector doesn't apply itself (capabilities.filters)
+     * Language counts as applied when the connector serves specific languages or can't tell a book's language
+     */
+    _getPostFilters(connectorId, filters) {
+        const capabilities = getCapabilities(describeConnector(connectorId))
+
+        return getActiveFilters(filters).filter(filter => {
+            if (capabilities.filters.includes(filter)) return false
+            if (filter === SearchFilter.LANGUAGE) {
+                return capabilities.languages.includes(ANY_LANGUAGE) && capabilities.metadata.includes('language')
+            }
+            return true
+        })
+    }
+
+    /**
+     * Stream a search result, or the cluster it joined when merging
+     */
+    _streamSearchItem(connectorId, book, merger = null) {
+        if (!merger) {
+            this.opt.onItem({
+                event: 'message',
+                data: { connector: connectorId, item: book }
+            })
+            return
+        }
+
+        const cluster = merger.add(book, {
+            connector: connectorId,
+            languages: getCapabilities(describeConnector(connectorId)).languages
+        })
+
+        this.opt.onItem({
+            event: 'message',
+            data: { cluster }
+        })
     }
 
     /**
      * Create search task
+     * Reads result pages one after the other, streaming (or deep searching) each page's new entries
+     * filters go to getSearchUrl, postFilters are checked on deep results
      */
     _createSearchTask(connectorId, title, options = {}) {
-        const { deep = false } = options
+        const {
+            deep = false,
+            enrichers = [],
+            merger = null,
+            filters = {},
+            postFilters = [],
+            popularity = false,
+            fresh = false,
+            maxPages = DEFAULT_SEARCH_PAGES,
+            maxResults = null
+        } = options
 
         return TaskFactory.search(connectorId, title, {
             execute: async () => {
@@ -205,65 +401,112 @@ export class Scraper {
                         await this.drivers.build(connectorId, proxy)
                     }
                     
-                    // Navigate to search page (lock handled by worker)
-                    await this.drivers.exec(connectorId, async (driver) => {
-                        const searchUrl = driver.getSearchUrl(title)
-                        await driver.page.goto(searchUrl.render(), {
-                            waitUntil: 'domcontentloaded',
-                            timeout: 30000
-                        })
-                    })
+                    const searchUrl = await this.drivers.exec(connectorId, async (driver) => driver.getSearchUrl(title, filters))
+                    const entries = []
+                    const deepTaskPromises = []
+                    let lastPage = null
+                    let pagesRead = 0
+
+                    // Follow result pages (page arg) until maxPages / maxResults or the last page
+                    for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
+                        if (pageNum > 1) {
+                            if (!searchUrl.hasArg('page') || pageNum > lastPage) break
+                            searchUrl.incArg('page')
+                        }
 
-                    // Extract search results
-                    const entries = await this.drivers.exec(connectorId, async (driver) => {
-                        return await driver.getSearchResults()
-                    })
+                        let page
+                        try {
+                            // Navigate to search page and extract results (lock handled by worker)
+                            page = await this.drivers.exec(connectorId, async (driver) => {
+                                await driver.page.goto(searchUrl.render(), {
+                                    waitUntil: 'domcontentloaded',
+                                    timeout: 30000
+                                })
 
-                    if (!entries || entries.length === 0) {
-                        log.info('No results found', { connector: connectorId, title })
-                        return {
-                            connector: connectorId,
-                            count: 0,
-                            success: true,
-                            results: []
+                                const books = this._toBooks(connectorId, await driver.getSearchResults())
+
+                                // Last page number from the first page, unknown without getPages
+                                const pages = pageNum === 1
+                                    ? (driver.getPages ? (await driver.getPages()) || 1 : Infinity)
+                                    : lastPage
+
+                                return { books, pages }
+                            })
+                        } catch (error) {
+                            if (pageNum === 1) throw error
+
+                            log.warn('Search page failed, stopping there', { connector: connectorId, title, page: pageNum, error: error.message })
+                            break
                         }
-                    }
 
-                    log.debug('Found search entries', {
-                        connector: connectorId,
-                        count: entries.length
-                    })
+                        lastPage = page.pages
 
-                    // If deep search, create tasks for each entry
-                    if (deep) {
-                        const deepTaskPromises = entries.map(item =>
-                            // Submit each task, which returns a Promise immediately
-                            this.workerPool.submit(this._createDeepSearchTask(connectorId, title, item))
-                        );
+                        // Sites without a last page number repeat or empty their last page
+                        const known = new Set(entries.map(entry => entry.link))
+                        const newEntries = page.books
+                            .filter(entry => !known.has(entry.link))
+                            .slice(0, maxResults ? maxResults - entries.length : undefined)
 
-                        return {
+                        newEntries.forEach(entry => { entry.score = scoreBook(entry, title, { popularity }) })
+
+                        if (!newEntries.length) break
+
+                        entries.push(...newEntries)
+                        pagesRead = pageNum
+
+                        log.debug('Found search entries', {
                             connector: connectorId,
-                            count: entries.length,
-                            success: true,
-                            results: entries, // Initial results
-                            deepTaskPromises: deepTaskPromises 
-                        };
-                    } else {
-                        // Stream results
-                        entries.forEach(item => {
-                            this.opt.onItem({
-                                event: 'message',
-                                data: { connector: connectorId, item }
-                            })
+                            page: pageNum,
+                            count: newEntries.length
                         })
 
+                        if (deep) {
+                            // Create tasks for each entry
+                            deepTaskPromises.push(...newEntries.map(item =>
+                                // Cached detail pages skip the worker, the others are submitted (a Promise immediately)
+                                this._getDeepEntry(connectorId, title, item, { fresh })
+                                    // Enrichment runs as separate tasks, chained outside the worker
+                                    .then(book => this.enrich(book, enrichers))
+                                    .then(book => {
+                                        // Deep fields (views) can change the score
+                                        book.score = scoreBook(book, title, { popularity })
+
+                                        if (!matchesFilters(book, filters, postFilters)) {
+                                            log.debug('Filtered out', { connector: connectorId, title: book.title })
+                                            return null
+                                        }
+
+                                        // Stream result
+                                        this._streamSearchItem(connectorId, book, merger)
+                                        return book
+                                    })
+                            ))
+                        } else {
+                            // Stream results
+                            newEntries.forEach(item => this._streamSearchItem(connectorId, item, merger))
+                        }
+
+                        if (maxResults && entries.length >= maxResults) break
+                    }
+
+                    if (entries.length === 0) {
+                        log.info('No results found', { connector: connectorId, title })
                         return {
                             connector: connectorId,
-                            count: entries.length,
+                            count: 0,
                             success: true,
-                            results: entries
+                            results: []
                         }
                     }
+
+                    return {
+                        connector: connectorId,
+                        count: entries.length,
+                        pages: pagesRead,
+                        success: true,
+                        results: entries, // Initial results (replaced by the deep ones when deep)
+                        ...(deep && { deepTaskPromises })
+                    }
                 } catch (error) {
                     log.error('Search failed', error, { connector: connectorId, title })
 
@@ -288,6 +531,20 @@ export class Scraper {
         })
     }
 
+    /**
+     * Deep search entry from the metadata cache, or a deep search task when missing
+     * @returns {Promise<Book>}
+     */
+    async _getDeepEntry(connectorId, title, item, { fresh = false } = {}) {
+        const cached = !fresh && await this.cache.get(CacheKind.BOOK, connectorId, item.link)
+        if (cached) {
+            // Same merge as the deep task: detail page fields over the search entry
+            return Book.from({ ...item, ...cached }, connectorId)
+        }
+
+        return await this.workerPool.submit(this._createDeepSearchTask(connectorId, title, item))
+    }
+
     /**
      * Create deep search task (navigate to detail page and extract fields)
      */
@@ -312,8 +569,7 @@ export class Scraper {
 
                     // Extract all fields
                     const fields = await this.drivers.exec(connectorId, async (driver) => {
-                        const fieldKeys = await driver.getEntryField('', true)
-                        console.log(fieldKeys)
+                        const fieldKeys = getCapabilities(driver).metadata
                         const data = { ...item }
 
                         for (const key of fieldKeys) {
@@ -325,27 +581,362 @@ export class Scraper {
                             }
                         }
 
-                        return data
-                    })
-
-                    // Stream result
-                    this.opt.onItem({
-                        event: 'message',
-                        data: { connector: connectorId, item: fields }
+                        return Book.from(data, connectorId)
                     })
 
+                    await this.cache.set(CacheKind.BOOK, connectorId, item.link, cacheableBook(fields))
                     return fields
                 } catch (error) {
                     log.error('Deep search failed', error, {
                         connector: connectorId,
                         item: item.title
                     })
-                    return item
+                    return Book.from(item, connectorId)
+                }
+            }
+        })
+    }
+
+    /**
+     * Enrich a Book with fields from metadata-only connectors
+     * Each enricher searches the book title, picks the matching result and copies its
+     * enrichFields (Italian plot, authors, genres, ...) onto the book
+     * @param {Book} book - Book from a download source
+     * @param {Array<string>} enrichers - Metadata-only connector ids (drivers must be initialized)
+     * @returns {Promise<Book>} The same book, enriched where a match was found
+     */
+    async enrich(book, enrichers = []) {
+        for (const enricherId of enrichers) {
+            if (enricherId === book.connector) continue
+
+            const source = await this.workerPool.submit(this._createEnrichTask(enricherId, book))
+            if (!source) continue
+
+            const connector = this.drivers.getDriver(enricherId).getConnector()
+            book.enrich(source, {
+                fields: connector.enrichFields,
+                override: connector.enrichOverride
+            })
+
+            log.debug('Book enriched', { title: book.title, connector: book.connector, enricher: enricherId })
+        }
+
+        return book
+    }
+
+    /**
+     * Create enrich task (search the metadata connector, read the matching detail page)
+     */
+    _createEnrichTask(connectorId, book) {
+        return TaskFactory.enrich(connectorId, book, {
+            execute: async () => {
+                try {
+                    if (this.navigationLock.contextMode === ContextMode.MULTI) {
+                        const proxy = this.navigationLock.getNextProxy()
+                        await this.drivers.build(connectorId, proxy)
+                    }
+
+                    return await this.drivers.exec(connectorId, async (driver) => {
+                        await driver.page.goto(driver.getSearchUrl(book.title).render(), {
+                            waitUntil: 'domcontentloaded',
+                            timeout: 30000
+                        })
+
+                        const match = findMatchingBook(book, this._toBooks(connectorId, await driver.getSearchResults()))
+                        if (!match) {
+                            log.debug('No enrichment match', { connector: connectorId, title: book.title })
+                            return null
+                        }
+
+                        await driver.page.goto(match.link, {
+                            waitUntil: 'domcontentloaded',
+                            timeout: 30000
+                        })
+
+                        const data = await this._getEntryFields(driver, driver.enrichFields || [])
+                        return Book.from({ ...match.toJSON(), ...data }, connectorId)
+                    })
+                } catch (error) {
+                    log.warn('Enrichment failed', { connector: connectorId, title: book.title, error: error.message })
+                    return null
                 }
             }
         })
     }
 
+    /**
+     * Metadata-only connector ids from an enrich option
+     * true / "true" / "*" selects all of them, otherwise a list ("animeclick" or ['animeclick'])
+     */
+    resolveEnrichers(enrich) {
+        if (!enrich || enrich === 'false') return []
+
+        const metadataOnly = Object.keys(Connectors).filter(id => isMetadataOnly(describeConnector(id)))
+        if (enrich === true || enrich === 'true' || enrich === '*') return metadataOnly
+
+        const ids = Array.isArray(enrich) ? enrich : String(enrich).split(',')
+        return [...new Set(ids.map(id => id.trim()).filter(Boolean))].map(id => {
+            if (!metadataOnly.includes(id)) {
+                throw new Error(`Invalid enrich connector: ${id}. Valid: ${metadataOnly.join(', ')}`)
+            }
+            return id
+        })
+    }
+
+    /**
+     * Connectors able to do a job
+     * '*' selects every connector with the needed capabilities (metadata-only ones are left out
+     * of searches), a single id is checked and returned as is
+     * @param {string} connectorId - Connector id or '*'
+     * @param {string} job - Job (see capabilities.js)
+     * @param {Object} opt - { language, contentType } filters for '*'
+     * @returns {Array<string>} Connector ids
+     * @throws {Error} When the connector can't do the job, or no connector can
+     */
+    getConnectorIds(connectorId = '*', job, opt = {}) {
+        if (connectorId !== '*') {
+            assertCanDo(describeConnector(connectorId), job)
+            return [connectorId]
+        }
+
+        const ids = Object.keys(Connectors).filter(id => {
+            const connector = describeConnector(id)
+            return canDo(connector, job)
+                && !(job === Job.SEARCH && isMetadataOnly(connector))
+                && supportsLanguage(connector, opt.language)
+                && (!opt.contentType || getCapabilities(connector).contentType === opt.contentType)
+        })
+
+        if (!ids.length) {
+            throw new Error(`No connector supports ${job}${opt.language ? ` in ${opt.language}` : ''}${opt.contentType ? ` for ${opt.contentType}` : ''}`)
+        }
+
+        return ids
+    }
+
+    /**
+     * Throw when a connector can't do a job (see capabilities.js)
+     */
+    assertConnector(connectorId, job) {
+        assertCanDo(describeConnector(connectorId), job)
+    }
+
+    /**
+     * Canary run for the connector health check (see health.js): search, detail page,
+     * chapter list and first reader page, each stage reporting the fields that came back empty
+     * Stages the connector lacks are left out, a failed stage skips the ones needing its output
+     * Never cached, runs as one task so it doesn't interleave with the connector's other navigations
+     * @param {string} connectorId - Connector id
+     * @param {Object} opt - { query, url } instead of the connector's canary and first result
+     * @returns {Promise<Object>} { connector, query, url, stages: { search, detail, chapters, read } }
+     *   Stage: { ok, duration, empty: [fields], error, ... }
+     */
+    async runCanary(connectorId, opt = {}) {
+        const connector = describeConnector(connectorId)
+        const capabilities = getCapabilities(connector)
+        const query = opt.query || connector.canary || DEFAULT_CANARY
+
+        // Adds the connector's driver when missing, jobs on the other drivers keep running
+        await this._initialize([connectorId])
+
+        const stage = async (name, run) => {
+            const start = Date.now()
+            try {
+                const result = await run()
+                return { ok: !result.error, empty: [], error: null, ...result, duration: Date.now() - start }
+            } catch (error) {
+                log.warn('Canary stage failed', { connector: connectorId, stage: name, error: error.message })
+                return { ok: false, empty: [], error: error.message, duration: Date.now() - start }
+            }
+        }
+        const goto = (driver, url, waitUntil = 'domcontentloaded') => driver.page.goto(url, { waitUntil, timeout: 30000 })
+
+        return await this.workerPool.submit(TaskFactory.healthCheck(connectorId, {
+            execute: async () => await this.drivers.exec(connectorId, async (driver) => {
+                const stages = {}
+                let url = opt.url || null
+
+                if (capabilities.search) {
+                    stages.search = await stage('search', async () => {
+                        await goto(driver, driver.getSearchUrl(query).render())
+                        const entries = await driver.getSearchResults() || []
+                        const books = this._toBooks(connectorId, entries).map(book => book.toJSON())
+
+                        // Per field the connector reads, how many results filled it
+                        const keys = [...new Set(['title', 'link', ...capabilities.metadata])]
+                        const fields = Object.fromEntries(keys.map(key => [key, books.filter(book => !isEmptyValue(book[key])).length]))
+
+                        url = url || books[0]?.link || null
+                        return {
+                            count: entries.length,
+                            valid: books.length,
+                            fields,
+                            empty: keys.filter(key => !fields[key]),
+                            ...(!books.length && { error: 'No results' })
+                        }
+                    })
+                }
+
+                if (capabilities.metadata.length && url) {
+                    stages.detail = await stage('detail', async () => {
+                        await goto(driver, url)
+
+                        const fields = {}
+                        for (const field of capabilities.metadata) {
+                            try {
+                                fields[field] = isEmptyValue(await driver.getEntryField(field)) ? 'empty' : 'ok'
+                            } catch (error) {
+                                fields[field] = `error: ${error.message}`
+                            }
+                        }
+
+                        const empty = capabilities.metadata.filter(field => fields[field] !== 'ok')
+                        return {
+                            url,
+                            fields,
+                            empty,
+                            ...(empty.length === capabilities.metadata.length && { error: 'No field read' })
+                        }
+                    })
+                }
+
+                let chapters = []
+                if (capabilities.chapters && stages.detail?.ok) {
+                    stages.chapters = await stage('chapters', async () => {
+                        chapters = flattenChapters(await driver.getAllChapterLinks())
+                        const numbered = chapters.filter(chapter => chapter.chapter.number !== null).length
+
+                        return {
+                            count: chapters.length,
+                            numbered,
+                            empty: numbered ? [] : ['number'],
+                            ...(!chapters.length && { error: 'No chapters' })
+                        }
+                    })
+                }
+
+                if (capabilities.pages && chapters.length) {
+                    stages.read = await stage('read', async () => {
+                        const chapterUrl = chapters[0].url.render()
+                        await goto(driver, chapterUrl, 'networkidle')
+
+                        const pageCount = capabilities.pageCount ? await driver.getPageCount() : null
+                        const src = await resolvePageSource(await driver.getPage())
+
+                        const empty = [
+                            ...(capabilities.pageCount && !pageCount ? ['pageCount'] : []),
+                            ...(!src ? ['page'] : [])
+                        ]
+                        return {
+                            url: chapterUrl,
+                            pageCount,
+                            page: src,
+                            empty,
+                            ...(!src && { error: 'No page image' })
+                        }
+                    })
+                }
+
+                return { connector: connectorId, query, url, stages }
+            })
+        }))
+    }
+
+    /**
+     * Read a detail page: Book metadata (every field the connector knows)
+     * Served from the metadata cache unless opt.fresh, fresh reads are cached
+     * @param {string|Object} target - Detail page url, or a search result ({ link })
+     * @param {string} connectorId - Connector id (default: detected from the url)
+     * @param {Object} opt - { fresh }
+     * @returns {Promise<Book>}
+     */
+    async getBook(target, connectorId = null, { fresh = false } = {}) {
+        const url = typeof target === 'object' ? (target.link || target.url) : target
+        if (!url) throw new Error("Target URL is required")
+
+        connectorId = connectorId || this.detectConnector(url)
+        this.assertConnector(connectorId, Job.DETAILS)
+
+        const cached = !fresh && await this.cache.get(CacheKind.BOOK, connectorId, url)
+        if (cached) return Book.from(cached, connectorId)
+
+        await this._initialize([connectorId])
+
+        // A worker task, so the read waits for the connector's page instead of navigating it under a job
+        const book = await this.workerPool.submit(TaskFactory.details(connectorId, url, {
+            execute: async () => await this.drivers.exec(connectorId, async (driver) => {
+                await driver.page.goto(url, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: 30000
+                })
+
+                const capabilities = getCapabilities(driver)
+                const data = await this._getEntryFields(driver, capabilities.metadata)
+                return Book.from({ ...data, link: url, content_type: capabilities.contentType }, connectorId)
+            })
+        }))
+
+        await this.cache.set(CacheKind.BOOK, connectorId, url, cacheableBook(book))
+        return book
+    }
+
+    /**
+     * Read a series detail page: Book metadata and, for connectors with chapters, the chapter list
+     * Served from the metadata cache when both are there unless opt.fresh, fresh reads are cached
+     * @param {string|Object} target - Series url, or a search result ({ link })
+     * @param {string} connectorId - Connector id (default: detected from the url)
+     * @param {Object} opt - { fresh }
+     * @returns {Promise<{ connector: string, url: string, book: Book, chapters: Array }>}
+     */
+    async getSeries(target, connectorId = null, { fresh = false } = {}) {
+        const url = typeof target === 'object' ? (target.link || target.url) : target
+        if (!url) throw new Error("Target URL is required")
+
+        connectorId = connectorId || this.detectConnector(url)
+        this.assertConnector(connectorId, Job.DETAILS)
+
+        const hasChapters = !!getCapabilities(describeConnector(connectorId)).chapters
+        if (!fresh) {
+            const cachedBook = await this.cache.get(CacheKind.BOOK, connectorId, url)
+            const cachedVolumes = hasChapters ? await this.cache.get(CacheKind.CHAPTERS, connectorId, url) : []
+            if (cachedBook && cachedVolumes) {
+                return {
+                    connector: connectorId,
+                    url,
+                    book: Book.from(cachedBook, connectorId),
+                    chapters: flattenChapters(deserializeVolumes(cachedVolumes))
+                }
+            }
+        }
+
+        await this._initialize([connectorId])
+
+        // A worker task like the other reads: scheduled checks run next to /process and /search jobs
+        const { book, volumes } = await this.workerPool.submit(TaskFactory.details(connectorId, url, {
+            execute: async () => await this.drivers.exec(connectorId, async (driver) => {
+                await driver.page.goto(url, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: 30000
+                })
+
+                const capabilities = getCapabilities(driver)
+                const data = await this._getEntryFields(driver, capabilities.metadata)
+                return {
+                    book: Book.from({ ...data, link: url, content_type: capabilities.contentType }, connectorId),
+                    volumes: hasChapters ? await driver.getAllChapterLinks() : []
+                }
+            })
+        }))
+
+        const chapters = flattenChapters(volumes)
+        log.debug('Series read', { connector: connectorId, url, title: book.title, chapters: chapters.length })
+
+        await this.cache.set(CacheKind.BOOK, connectorId, url, cacheableBook(book))
+        if (hasChapters) await this.cache.set(CacheKind.CHAPTERS, connectorId, url, serializeVolumes(volumes))
+
+        return { connector: connectorId, url, book, chapters }
+    }
+
     /**
      * Process manga (scrape chapters)
      */
@@ -357,11 +948,26 @@ export class Scraper {
             throw new Error("Target URL is required")
         }
 
-        // Extract connector from URL or use first available
-        const connectorId = this._detectConnector(target)
+        method = method || ScrapeMethod.DEFAULT
+        if (!Object.values(ScrapeMethod).includes(method)) {
+            throw new Error(`Invalid scraping method: ${method}`)
+        }
+
+        // Fail fast on bad selection / output options, before any navigation
+        parseSelection(opt)
+        const exporters = getExporters(opt.format)
+        if (opt.group) getExportGroup(opt.group)
+
+        // Given connector, else extracted from URL or first available
+        const connectorId = opt.connector || this.detectConnector(target)
+        const connector = describeConnector(connectorId)
+        assertCanDo(connector, getProcessJob(connector, method === ScrapeMethod.BRUTE))
         
+        // Metadata-only connectors enriching the export metadata
+        const enrichers = exporters.length ? this.resolveEnrichers(opt.enrich) : []
+
         // Initialize with specific connector
-        await this._initialize([connectorId])
+        await this._initialize([connectorId, ...enrichers])
 
         // Override worker concurrency if specified
         if (concurrency && concurrency !== this.opt.concurrency) {
@@ -384,35 +990,99 @@ export class Scraper {
             ? (target.link || target.url)
             : target
 
+        // Books are a single file, no chapters or pages
+        if (getCapabilities(connector).contentType === ContentType.BOOK) {
+            return await this._processBook(connectorId, targetUrl, { ...opt, exporters, enrichers, startTime })
+        }
+
         // Get chapters list
+        let metadata = {}
+        let cover = null
         const chapters = await this.drivers.exec(connectorId, async (driver) => {
             await driver.page.goto(targetUrl, {
                 waitUntil: 'domcontentloaded',
                 timeout: 30000
             })
 
-            const volumes = await driver.getAllChapterLinks()
+            // Book metadata for the output stage (read while on the detail page)
+            if (exporters.length) {
+                const fields = [...new Set(exporters.flatMap(exporter => exporter.fields))]
+                metadata = Book.from({ ...await this._getEntryFields(driver, fields), link: targetUrl }, connectorId).toJSON()
+            }
 
-            // Flatten chapters
-            const allChapters = []
-            for (const volume of volumes) {
-                for (const chapterUrl of volume.chapters) {
-                    allChapters.push({
-                        url: chapterUrl,
-                        volume: volume.volume
-                    })
+            // Cover image from the banner, fetched while the page context is at hand
+            const bannerSrc = metadata.banner?.full_size || metadata.banner?.half_size
+            if (bannerSrc && exporters.some(exporter => exporter.cover)) {
+                try {
+                    cover = await new ImageDownloader(null).fetch(driver, bannerSrc, { referer: targetUrl })
+                } catch (error) {
+                    log.warn('Could not fetch cover image', { src: bannerSrc, error: error.message })
                 }
             }
 
-            return allChapters
+            const volumes = await driver.getAllChapterLinks()
+            // Fresh list for later lookups (see getSeries)
+            await this.cache.set(CacheKind.CHAPTERS, connectorId, targetUrl, serializeVolumes(volumes))
+            return flattenChapters(volumes)
         })
 
         log.info('Chapters retrieved', { count: chapters.length })
 
-        // Create chapter scrape tasks
-        const chapterTasks = chapters.map((chapter, idx) =>
-            this._createChapterTask(connectorId, chapter, idx + 1, opt)
-        )
+        if (enrichers.length && metadata.title) {
+            metadata = (await this.enrich(Book.from(metadata, connectorId), enrichers)).toJSON()
+        }
+
+        // Apply chapters / volumes / latest / since selection
+        const selectedChapters = selectChapters(chapters, opt)
+
+        // Title used by the $title path variable
+        const bookTitle = title || (typeof target === 'object' ? target.title : undefined)
+
+        // Manifest next to the output, resumes previous runs of the same target and pattern
+        const manifest = await Manifest.open(parseOutputOptions(opt), {
+            target: targetUrl,
+            connector: connectorId,
+            title: bookTitle
+        }, { resume: opt.resume !== false })
+
+        const chapterOpt = {
+            ...opt,
+            title: bookTitle,
+            manifest
+        }
+
+        // Create chapter scrape tasks, skipping chapters the manifest marks complete
+        const skipped = []
+        const chapterTasks = []
+        for (const chapter of selectedChapters) {
+            const key = chapter.url.render()
+
+            if (await manifest.isChapterComplete(key)) {
+                const entry = manifest.getChapter(key)
+                skipped.push({
+                    chapterIndex: chapter.chapterIndex,
+                    number: chapter.number,
+                    volume: chapter.volume,
+                    chapter: chapter.chapter.toJSON(),
+                    chapterUrl: key,
+                    skipped: true,
+                    pages: Object.values(entry.pages)
+                })
+                continue
+            }
+
+            chapterTasks.push(method === ScrapeMethod.BRUTE
+                ? this._createBruteChapterTask(connectorId, chapter, chapter.chapterIndex, chapterOpt)
+                : this._createChapterTask(connectorId, chapter, chapter.chapterIndex, chapterOpt))
+        }
+
+        if (skipped.length) {
+            log.info('Skipping completed chapters', {
+                skipped: skipped.length,
+                remaining: chapterTasks.length,
+                manifest: manifest.filePath
+            })
+        }
 
         // Execute based on mode
         let results
@@ -426,14 +1096,52 @@ export class Scraper {
             results = await this.workerPool.submitAll(chapterTasks)
         }
 
+        await manifest.save()
+
+        results = [...skipped, ...results]
+            .sort((a, b) => (a.chapterIndex || 0) - (b.chapterIndex || 0))
+
+        // Output stage
+        for (const exporter of exporters) {
+            const records = await exportResults(exporter.name, results, {
+                pathParser: parseOutputOptions(opt),
+                title: bookTitle,
+                target: targetUrl,
+                metadata,
+                cover,
+                group: opt.group,
+                exportPath: opt.exportPath,
+                direction: opt.direction
+            })
+
+            for (const record of records) {
+                results
+                    .filter(result => record.chapters.includes(result.chapterIndex))
+                    .forEach(result => {
+                        result.exports = [...(result.exports || []), record]
+                    })
+
+                this.opt.onItem({
+                    event: 'message',
+                    data: { export: record }
+                })
+            }
+        }
+
         const duration = ((Date.now() - startTime) / 1000).toFixed(2)
         const totalPages = results.reduce((sum, r) => sum + (r.pages?.length || 0), 0)
+        const totalBytes = results.reduce((sum, r) => sum + (r.bytes || 0), 0)
+        const totalFailures = results.reduce((sum, r) => sum + (r.failures?.length || 0), 0)
 
         log.success('Process completed', {
             duration: `${duration}s`,
             connector: connectorId,
             chaptersProcessed: results.length,
             totalPages,
+            totalBytes,
+            totalFailures,
+            skipped: skipped.length,
+            manifest: manifest.filePath,
             mode,
             avgTimePerChapter: results.length > 0 ? (parseFloat(duration) / results.length).toFixed(2) + 's' : 'N/A' // NEW: Average time
         })
@@ -441,6 +1149,153 @@ export class Scraper {
         return results
     }
 
+    /**
+     * Download a book-type entry: read its metadata and files, then fetch the first file that works
+     * Files are tried in opt.fileFormat order ("epub,pdf"), mirrors in page order
+     * The manifest stores the book as a single-page entry so reruns skip it
+     * @returns {Promise<Array>} A single book result ({ type: 'book', title, format, path, bytes, hash, ... } or { ..., error })
+     */
+    async _processBook(connectorId, targetUrl, opt) {
+        const { exporters, enrichers, startTime } = opt
+
+        let metadata = await this.drivers.exec(connectorId, async (driver) => {
+            await driver.page.goto(targetUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: 30000
+            })
+
+            const data = await this._getEntryFields(driver, getCapabilities(driver).metadata)
+            return Book.from({ ...data, link: targetUrl, content_type: ContentType.BOOK }, connectorId)
+        })
+
+        if (enrichers.length && metadata.title) {
+            metadata = await this.enrich(metadata, enrichers)
+        }
+
+        const formats = String(opt.fileFormat || '').split(',').map(format => format.trim().toLowerCase()).filter(Boolean)
+        const rank = file => formats.includes(file.format) ? formats.indexOf(file.format) : formats.length
+        const files = [...metadata.files].sort((a, b) => rank(a) - rank(b))
+
+        log.info('Book files retrieved', { title: metadata.title, count: files.length, formats })
+
+        const title = opt.title || metadata.title
+        const pathParser = parseOutputOptions({ ...opt, contentType: ContentType.BOOK })
+        const manifest = await Manifest.open(pathParser, {
+            target: targetUrl,
+            connector: connectorId,
+            title
+        }, { resume: opt.resume !== false })
+
+        const info = { chapterIndex: 1, number: null, volume: null }
+        const book = { type: ContentType.BOOK, chapterIndex: 1, title, link: targetUrl, metadata: metadata.toJSON() }
+        let result = null
+
+        const completed = await manifest.getCompletedPage(targetUrl, 1)
+        if (completed) {
+            log.info('Book already downloaded', { path: completed.path, manifest: manifest.filePath })
+            result = { ...book, format: completed.path.split('.').pop(), path: completed.path, bytes: completed.bytes, hash: completed.hash, url: completed.src, skipped: true }
+        }
+
+        const downloader = new ImageDownloader(pathParser)
+        const failures = []
+
+        for (const file of result ? [] : files) {
+            try {
+                const saved = await this.drivers.exec(connectorId, async (driver) => {
+                    const url = driver.getDownloadUrl ? await driver.getDownloadUrl(file) : file.url
+                    const { buffer } = await downloader.fetch(driver, url, { referer: targetUrl })
+
+                    // Mirrors answer with a web page (captcha, waiting list) instead of the file
+                    const format = detectFileFormat(buffer) || file.format
+                    if (format === 'html') throw new Error(`Got a web page instead of a file from ${url}`)
+
+                    return { url, ...await downloader.save(buffer, { title }, { ext: format || 'bin' }) }
+                })
+
+                result = { ...book, format: saved.ext, path: saved.path, bytes: saved.bytes, hash: saved.hash, url: saved.url, file: file.toJSON() }
+                manifest.recordPage(targetUrl, info, { pageNum: 1, src: saved.url, ...saved })
+                break
+            } catch (error) {
+                failures.push({ url: file.url, mirror: file.mirror, error: error.message })
+                log.warn('Book file download failed', { url: file.url, mirror: file.mirror, error: error.message })
+            }
+        }
+
+        if (!result) {
+            const error = files.length ? 'Every book file failed to download' : 'No downloadable file found'
+            result = { ...book, error, failures }
+            log.error('Book download failed', new Error(error), { target: targetUrl, failures: failures.length })
+        } else {
+            result.failures = failures
+        }
+
+        await manifest.recordChapter(targetUrl, info, result.error
+            ? { error: result.error }
+            : { pages: [result] })
+
+        this.opt.onItem({
+            event: 'message',
+            data: { book: result }
+        })
+
+        // Output stage (no conversion, see exportBook)
+        for (const exporter of exporters) {
+            for (const record of await exportBook(exporter.name, result)) {
+                result.exports = [...(result.exports || []), record]
+
+                this.opt.onItem({
+                    event: 'message',
+                    data: { export: record }
+                })
+            }
+        }
+
+        log.success('Process completed', {
+            duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+            connector: connectorId,
+            title,
+            format: result.format,
+            bytes: result.bytes,
+            skipped: !!result.skipped,
+            manifest: manifest.filePath
+        })
+
+        return [result]
+    }
+
+    /**
+     * Map search results to Books, dropping entries without a title or link
+     */
+    _toBooks(connectorId, entries) {
+        return (entries || [])
+            .map(entry => Book.from({ content_type: getCapabilities(describeConnector(connectorId)).contentType, ...entry }, connectorId))
+            .filter(book => {
+                if (book.isValid()) return true
+                log.warn('Skipping invalid search result', { connector: connectorId, title: book.title, link: book.link })
+                return false
+            })
+    }
+
+    /**
+     * Read book fields from the detail page (driver must be on it)
+     * Fields the connector doesn't know are left out
+     */
+    async _getEntryFields(driver, fields) {
+        const supported = getCapabilities(driver).metadata
+        const data = {}
+
+        for (const key of fields.filter(field => supported.includes(field))) {
+            try {
+                data[key] = await driver.getEntryField(key)
+            } catch (error) {
+                log.debug(`Failed to get field ${key}`, { error: error.message })
+                data[key] = null
+            }
+        }
+
+        return data
+    }
+
     /**
      * Create chapter scrape task
      */
@@ -448,7 +1303,11 @@ export class Scraper {
         return TaskFactory.chapterScrape(connectorId, chapter, chapterIndex, {
             execute: async () => {
                 const chapterUrl = chapter.url
+                const chapterKey = chapterUrl.render()
+                const chapterInfo = { chapterIndex, number: chapter.number, volume: chapter.volume }
+                const { manifest } = opt
                 const pathParser = parseOutputOptions(opt)
+                const downloader = new ImageDownloader(pathParser)
 
                 log.info('Scraping chapter', {
                     chapterIndex,
@@ -460,6 +1319,10 @@ export class Scraper {
                         const proxy = this.navigationLock.getNextProxy()
                         await this.drivers.build(connectorId, proxy)
                     }
+
+                    // Record image responses while reading (null in DOM mode)
+                    const capture = await this.drivers.startCapture(connectorId)
+
                     // Navigate to chapter (lock handled by worker)
                     await this.drivers.exec(connectorId, async (driver) => {
                         await driver.page.goto(chapterUrl.render(), {
@@ -472,10 +1335,11 @@ export class Scraper {
 
                     // Scrape pages
                     const pages = []
+                    const failures = []
                     let pageNum = 1
 
                     const maxPages = await this.drivers.exec(connectorId, async (driver) => {
-                        return typeof driver.getPageCount === 'function'
+                        return getCapabilities(driver).pageCount
                             ? await driver.getPageCount()
                             : null
                     })
@@ -483,23 +1347,45 @@ export class Scraper {
                     while (true) {
                         try {
                             // Get image
-                            const imageHandle = await this.drivers.exec(connectorId, async (driver) => {
+                            const pageRef = await this.drivers.exec(connectorId, async (driver) => {
                                 return await driver.getPage()
                             })
 
-                            if (!imageHandle) {
+                            if (!pageRef) {
                                 log.warn('No image found', { pageNum })
                                 break
                             }
 
-                            const src = await imageHandle.getAttribute('src')
-                            pages.push({ pageNum, src })
-
-                            log.debug('Page scraped', { pageNum, maxPages })
+                            const src = await resolvePageSource(pageRef)
+                            const completed = await manifest?.getCompletedPage(chapterKey, pageNum)
+
+                            // Download page image (failures don't stop the chapter)
+                            if (completed) {
+                                pages.push({ ...completed, skipped: true })
+                                log.debug('Page already downloaded', { pageNum, path: completed.path })
+                            } else {
+                                try {
+                                    const saved = await this.drivers.exec(connectorId, async (driver) => {
+                                        return await downloader.download(driver, src, {
+                                            title: opt.title,
+                                            vol: chapter.volume,
+                                            chap: chapter.number,
+                                            page: pageNum
+                                        }, { referer: chapterKey, capture })
+                                    })
+                                    pages.push({ pageNum, src, ...saved })
+                                    manifest?.recordPage(chapterKey, chapterInfo, { pageNum, src, ...saved })
+                                    log.debug('Page scraped', { pageNum, maxPages, path: saved.path })
+                                } catch (error) {
+                                    failures.push({ pageNum, src, error: error.message })
+                                    manifest?.recordPage(chapterKey, chapterInfo, { pageNum, src, error: error.message })
+                                    log.warn('Page download failed', { pageNum, src, error: error.message })
+                                }
+                            }
 
                             // Navigate to next page
                             const navigated = await this.drivers.exec(connectorId, async (driver) => {
-                                if (typeof driver.getNextPage === 'function') {
+                                if (getCapabilities(driver).pageNavigation) {
                                     return await driver.getNextPage()
                                 }
                                 return false
@@ -524,13 +1410,24 @@ export class Scraper {
 
                     const result = {
                         chapterIndex,
-                        chapterUrl: chapterUrl.render(),
-                        pages
+                        number: chapter.number,
+                        volume: chapter.volume,
+                        chapter: chapter.chapter.toJSON(),
+                        chapterUrl: chapterKey,
+                        expectedPages: maxPages,
+                        pages,
+                        files: pages.map(page => page.path),
+                        bytes: pages.reduce((sum, page) => sum + page.bytes, 0),
+                        failures
                     }
 
+                    await manifest?.recordChapter(chapterKey, chapterInfo, result)
+
                     log.success('Chapter scraped', {
                         chapterIndex,
-                        pagesCount: pages.length
+                        pagesCount: pages.length,
+                        bytes: result.bytes,
+                        failures: failures.length
                     })
 
                     // Stream result
@@ -542,21 +1439,202 @@ export class Scraper {
                     return result
                 } catch (error) {
                     log.error('Chapter processing failed', error, { chapterIndex })
-                    return { error: error.message }
+                    await manifest?.recordChapter(chapterKey, chapterInfo, { error: error.message })
+                    return { chapterIndex, chapterUrl: chapterKey, error: error.message }
+                } finally {
+                    await this.drivers.stopCapture(connectorId)
+                }
+            }
+        })
+    }
+
+    /**
+     * Create brute chapter task
+     * Opens only the first reader page, derives the image url from CDN_ENDPOINT_URL
+     * and increments its file index until the CDN misses
+     */
+    _createBruteChapterTask(connectorId, chapter, chapterIndex, opt) {
+        return TaskFactory.chapterScrape(connectorId, chapter, chapterIndex, {
+            method: ScrapeMethod.BRUTE,
+            execute: async () => {
+                const chapterUrl = chapter.url
+                const referer = chapterUrl.render()
+                const chapterInfo = { chapterIndex, number: chapter.number, volume: chapter.volume }
+                const { manifest } = opt
+                const pathParser = parseOutputOptions(opt)
+                const downloader = new ImageDownloader(pathParser)
+                const maxPages = opt.maxPages || 1000 // Safety stop for CDNs that never miss
+
+                log.info('Brute scraping chapter', {
+                    chapterIndex,
+                    url: referer
+                })
+
+                try {
+                    if (this.navigationLock.contextMode === ContextMode.MULTI) {
+                        const proxy = this.navigationLock.getNextProxy()
+                        await this.drivers.build(connectorId, proxy)
+                    }
+
+                    // Render a single reader page to read the first image url
+                    const { firstSrc, cdn } = await this.drivers.exec(connectorId, async (driver) => {
+                        await driver.page.goto(referer, {
+                            waitUntil: 'domcontentloaded',
+                            timeout: 30000
+                        })
+
+                        return {
+                            firstSrc: await resolvePageSource(await driver.getPage()),
+                            cdn: driver.CDN_ENDPOINT_URL
+                        }
+                    })
+
+                    if (!cdn || !firstSrc?.startsWith(cdn)) {
+                        throw new Error(`Image url does not match CDN endpoint (${cdn || 'none'}): ${firstSrc}`)
+                    }
+
+                    const imageUrl = Url.fromString(firstSrc)
+                    if (imageUrl.getFileIndex() === undefined) {
+                        throw new Error(`Image url has no file index: ${firstSrc}`)
+                    }
+
+                    log.debug('Derived CDN image pattern', {
+                        chapterIndex,
+                        src: firstSrc,
+                        startIndex: imageUrl.getFileIndex()
+                    })
+
+                    const pages = []
+                    const failures = []
+                    let pageNum = 1
+
+                    while (pageNum <= maxPages) {
+                        // Already on disk: follow the recorded url instead of hitting the CDN
+                        const completed = await manifest?.getCompletedPage(referer, pageNum)
+                        if (completed?.src) {
+                            pages.push({ ...completed, skipped: true })
+                            imageUrl.parse(completed.src)
+                            imageUrl.incFile()
+                            pageNum++
+                            continue
+                        }
+
+                        const src = imageUrl.render()
+                        let fetched
+                        try {
+                            fetched = await this.drivers.exec(connectorId, async (driver) => {
+                                return await this._bruteFetch(downloader, driver, imageUrl, referer)
+                            })
+                        } catch (error) {
+                            // Not a miss: the page may exist, so the chapter stays partial for the next run
+                            failures.push({ pageNum, src, error: error.message })
+                            manifest?.recordPage(referer, chapterInfo, { pageNum, src, error: error.message })
+                            log.warn('Brute fetch failed, stopping chapter', { pageNum, src, error: error.message })
+                            break
+                        }
+
+                        if (!fetched) {
+                            log.debug('CDN miss, chapter complete', { pageNum, src: imageUrl.render() })
+                            break
+                        }
+
+                        try {
+                            const saved = await downloader.save(fetched.buffer, {
+                                title: opt.title,
+                                vol: chapter.volume,
+                                chap: chapter.number,
+                                page: pageNum
+                            }, fetched)
+                            pages.push({ pageNum, src: fetched.src, ...saved })
+                            manifest?.recordPage(referer, chapterInfo, { pageNum, src: fetched.src, ...saved })
+                            log.debug('Page scraped', { pageNum, path: saved.path })
+                        } catch (error) {
+                            failures.push({ pageNum, src: fetched.src, error: error.message })
+                            manifest?.recordPage(referer, chapterInfo, { pageNum, src: fetched.src, error: error.message })
+                            log.warn('Page save failed', { pageNum, src: fetched.src, error: error.message })
+                        }
+
+                        imageUrl.incFile()
+                        pageNum++
+                    }
+
+                    const result = {
+                        chapterIndex,
+                        number: chapter.number,
+                        volume: chapter.volume,
+                        chapter: chapter.chapter.toJSON(),
+                        chapterUrl: referer,
+                        method: ScrapeMethod.BRUTE,
+                        pages,
+                        files: pages.map(page => page.path),
+                        bytes: pages.reduce((sum, page) => sum + page.bytes, 0),
+                        failures
+                    }
+
+                    await manifest?.recordChapter(referer, chapterInfo, result)
+
+                    log.success('Chapter scraped', {
+                        chapterIndex,
+                        pagesCount: pages.length,
+                        bytes: result.bytes,
+                        failures: failures.length
+                    })
+
+                    this.opt.onItem({
+                        event: 'message',
+                        data: { chapterIndex, result }
+                    })
+
+                    return result
+                } catch (error) {
+                    log.error('Chapter processing failed', error, { chapterIndex })
+                    await manifest?.recordChapter(referer, chapterInfo, { error: error.message })
+                    return { chapterIndex, chapterUrl: referer, error: error.message }
                 }
             }
         })
     }
 
+    /**
+     * Fetch the current brute image url, trying other extensions on a miss
+     * Returns null when every extension misses (4xx), throws when any failed otherwise
+     * (timeouts, 5xx, resets), since the page may still be there
+     */
+    async _bruteFetch(downloader, driver, imageUrl, referer) {
+        const index = imageUrl.getFileIndex()
+        const currentExt = imageUrl.file.slice(imageUrl.file.lastIndexOf('.') + 1)
+        const extensions = [currentExt, ...BRUTE_EXTENSIONS.filter(ext => ext !== currentExt)]
+        let failure = null
+
+        for (const ext of extensions) {
+            if (ext !== currentExt) imageUrl.setFile(`/${index}.${ext}`)
+
+            const src = imageUrl.render()
+            try {
+                const { buffer, contentType } = await downloader.fetch(driver, src, { referer })
+                return { buffer, contentType, src }
+            } catch (error) {
+                if (error.status >= 400 && error.status < 500) {
+                    log.debug('Brute fetch missed', { src, status: error.status })
+                } else {
+                    log.debug('Brute fetch failed', { src, error: error.message })
+                    failure = failure || error
+                }
+            }
+        }
+
+        if (failure) throw failure
+        return null
+    }
+
     /**
      * Detect connector from URL
      */
-    _detectConnector(url) {
+    detectConnector(url) {
         const urlStr = typeof url === 'object' ? (url.link || url.url) : url
 
-        for (const [id, connector] of Object.entries(Connectors)) {
-            const connectorInstance = connector({ page: null, Url, log, name: id })
-            if (urlStr.includes(connectorInstance.ENDPOINT_URL)) {
+        for (const id of Object.keys(Connectors)) {
+            if (urlStr.includes(describeConnector(id).ENDPOINT_URL)) {
                 return id
             }
         }
@@ -569,6 +1647,13 @@ export class Scraper {
         return this.drivers && this.drivers.isValid()
     }
 
+    /**
+     * Whether a job is using the connector's driver (tasks queued or running)
+     */
+    isBusy(connectorId) {
+        return !!this.workerPool?.hasTasks(connectorId)
+    }
+
     setOption(key, value) {
         this.opt[key] = value
 
@@ -0,0 +1,110 @@
+import log from "./log.js"
+
+/**
+ * Parse a range spec into a list of { from, to } bounds (inclusive)
+ * Accepts "10-25,30", "30-" (open end), "-5" (open start), numbers or arrays of those
+ * Decimal numbers (e.g. 10.5) are kept as they are
+ * @param {string|number|Array} spec - Range spec
+ * @returns {Array<{ from: number, to: number }>|null} Ranges, null if spec is empty
+ */
+export function parseRangeSpec(spec) {
+    if (spec === undefined || spec === null || spec === '') return null
+
+    const parts = Array.isArray(spec)
+        ? spec.flatMap(part => String(part).split(','))
+        : String(spec).split(',')
+
+    const ranges = parts
+        .map(part => part.trim())
+        .filter(part => part)
+        .map(part => {
+            const match = part.match(/^(\d+(?:\.\d+)?)?\s*(-)?\s*(\d+(?:\.\d+)?)?$/)
+            if (!match || (!match[1] && !match[3])) {
+                throw new Error(`Invalid range: "${part}"`)
+            }
+
+            const [, start, dash, end] = match
+            const from = start !== undefined ? parseFloat(start) : -Infinity
+            const to = dash
+                ? (end !== undefined ? parseFloat(end) : Infinity)
+                : from
+
+            if (from > to) throw new Error(`Invalid range: "${part}" (start after end)`)
+
+            return { from, to }
+        })
+
+    return ranges.length ? ranges : null
+}
+
+const inRanges = (ranges, value) =>
+    ranges.some(({ from, to }) => value >= from && value <= to)
+
+/**
+ * Parse and validate selection options
+ * @param {Object} opt - { chapters, volumes, latest, since }
+ * @returns {Object} { chapterRanges, volumeRanges, latest, since } (null when unset)
+ */
+export function parseSelection(opt = {}) {
+    const isSet = value => value !== undefined && value !== null && value !== ''
+
+    const latest = isSet(opt.latest) ? Number(opt.latest) : null
+    const since = isSet(opt.since) ? Number(opt.since) : null
+
+    if (latest !== null && (!Number.isInteger(latest) || latest < 1)) {
+        throw new Error(`Invalid latest value: ${opt.latest}. Must be a positive integer.`)
+    }
+    if (since !== null && isNaN(since)) {
+        throw new Error(`Invalid since value: ${opt.since}`)
+    }
+
+    return {
+        chapterRanges: parseRangeSpec(opt.chapters),
+        volumeRanges: parseRangeSpec(opt.volumes),
+        latest,
+        since
+    }
+}
+
+/**
+ * Filter a flat chapter list
+ * Applied in order: volumes, chapters, since, latest
+ * @param {Array<{ volume: number, chapterIndex: number, number: number }>} chapters - Flattened chapters
+ * @param {Object} opt - Selection options
+ * @param {string|Array} opt.chapters - Chapter range spec (e.g. "10-25,30")
+ * @param {string|Array} opt.volumes - Volume range spec (e.g. [3, 4] or "3-4")
+ * @param {number} opt.latest - Keep only the last N chapters
+ * @param {number} opt.since - Keep only chapters after this chapter number
+ * @returns {Array} Selected chapters
+ */
+export function selectChapters(chapters, opt = {}) {
+    const { chapterRanges, volumeRanges, latest, since } = parseSelection(opt)
+
+    let selected = chapters
+
+    if (volumeRanges) {
+        selected = selected.filter(chapter => inRanges(volumeRanges, chapter.volume))
+    }
+    if (chapterRanges) {
+        selected = selected.filter(chapter => inRanges(chapterRanges, chapter.number ?? chapter.chapterIndex))
+    }
+    if (since !== null) {
+        selected = selected.filter(chapter => (chapter.number ?? chapter.chapterIndex) > since)
+    }
+    if (latest !== null) {
+        selected = selected.slice(-latest)
+    }
+
+    if (selected.length !== chapters.length) {
+        log.info('Chapters selected', {
+            total: chapters.length,
+            selected: selected.length,
+            chapters: opt.chapters,
+            volumes: opt.volumes,
+            latest: opt.latest,
+            since: opt.since
+        })
+    }
+
+    return selected
+}
@@ -0,0 +1,88 @@
+import { promises as fs } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import log from './log.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const SESSIONS_DIR = process.env.SESSIONS_DIR || join(__dirname, '..', 'sessions')
+
+/**
+ * Browsing session modes
+ */
+export const SessionMode = {
+    LIVE: 'live',       // Plain network
+    RECORD: 'record',   // Network, every response saved to a HAR archive when the context closes
+    REPLAY: 'replay'    // No network: responses come from the HAR archive, anything else is aborted
+}
+
+/**
+ * Normalize a session option (Driver / DriverPool / Scraper opt.session)
+ * Falls back to SESSION_MODE / SESSION_NAME from the environment
+ * @param {Object|string} session - { mode, name, dir, path } or just a mode
+ * @returns {Object|null} { mode, name, dir, path }, null when live
+ * @throws {Error} On unknown modes
+ */
+export function parseSession(session = null) {
+    const opt = typeof session === 'string' ? { mode: session } : { ...session }
+    const mode = opt.mode || process.env.SESSION_MODE || SessionMode.LIVE
+
+    if (!Object.values(SessionMode).includes(mode)) {
+        throw new Error(`Invalid session mode: ${mode}. Valid: ${Object.values(SessionMode).join(', ')}`)
+    }
+    if (mode === SessionMode.LIVE) return null
+
+    return {
+        mode,
+        name: opt.name || process.env.SESSION_NAME || null,
+        dir: opt.dir || SESSIONS_DIR,
+        path: opt.path || null
+    }
+}
+
+/**
+ * HAR archive of a connector's session: <dir>/<connector>[-<name>].zip unless a path is given
+ * Zip archives keep bodies (images included) as compressed attachments
+ */
+export function getSessionPath(session, connectorId) {
+    if (session.path) return session.path
+    return join(session.dir, `${session.name ? `${connectorId}-${session.name}` : connectorId}.zip`)
+}
+
+/**
+ * Context options and setup for a session
+ * Recording needs recordHar at context creation, replaying routes the context once created
+ * @param {Object} session - Output of parseSession
+ * @param {string} connectorId - Connector id
+ * @returns {Promise<{ path: string, contextOptions: Object, attach: Function }>}
+ * @throws {Error} When replaying a session that was never recorded
+ */
+export async function prepareSession(session, connectorId) {
+    const path = getSessionPath(session, connectorId)
+
+    if (session.mode === SessionMode.RECORD) {
+        await fs.mkdir(dirname(path), { recursive: true })
+        log.info('Recording session', { connector: connectorId, path })
+
+        return {
+            path,
+            // minimal: what routeFromHAR needs, no timings or cookies
+            contextOptions: { recordHar: { path, mode: 'minimal' }, serviceWorkers: 'block' },
+            attach: async () => {}
+        }
+    }
+
+    try {
+        await fs.access(path)
+    } catch {
+        throw new Error(`Session not found: ${path}. Record it first with session mode ${SessionMode.RECORD}`)
+    }
+    log.info('Replaying session', { connector: connectorId, path })
+
+    return {
+        path,
+        contextOptions: { serviceWorkers: 'block' },
+        attach: async (ctx) => {
+            await ctx.routeFromHAR(path, { notFound: 'abort' })
+        }
+    }
+}
@@ -212,8 +212,9 @@ export class Url {
         }
 
         if (Object.keys(this.args).length) {
+            // List values repeat the key (genre=a&genre=b)
             url += '?' + Object.entries(this.args)
-                .map(([k, v]) => `${k}=${v}`)
+                .flatMap(([k, v]) => Array.isArray(v) ? v.map(item => `${k}=${item}`) : [`${k}=${v}`])
                 .join('&')
         }
 
@@ -260,4 +261,25 @@ export class ProxyPool {
             this.pool.push(new Proxy(server, user, pass))
         )
     }
-}
\ No newline at end of file
+}
+
+const DURATION_UNITS = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+}
+
+/**
+ * Parse a duration: "30m", "6h", "1d", "2w" or milliseconds
+ * @returns {number} Milliseconds
+ * @throws {Error} On bad values
+ */
+export const parseDuration = (value) => {
+    const match = String(value ?? '').trim().match(/^(\d+(?:\.\d+)?)\s*([smhdw])?$/i)
+    if (!match) {
+        throw new Error(`Invalid duration: ${value}. Use a number with s, m, h, d or w (e.g. 6h)`)
+    }
+    return parseFloat(match[1]) * (match[2] ? DURATION_UNITS[match[2].toLowerCase()] : 1)
+}
@@ -0,0 +1,275 @@
+import { promises as fs } from 'fs'
+import { createHash, createHmac, randomUUID } from 'crypto'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import log from './log.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const WEBHOOKS_PATH = process.env.WEBHOOKS_PATH || join(__dirname, '..', 'webhooks.json')
+
+/**
+ * Events sent to webhooks
+ */
+export const WebhookEvent = {
+    NEW_CHAPTERS: 'chapter.new',               // A scheduled check found chapters (see scheduler.js)
+    CHAPTER_DOWNLOADED: 'chapter.downloaded',  // A chapter was processed, the process() item
+    BOOK_DOWNLOADED: 'book.downloaded',        // A book file was saved, the process() item
+    JOB_FINISHED: 'job.finished',              // process() returned
+    JOB_FAILED: 'job.failed',                  // process() threw
+    CONNECTOR_UNHEALTHY: 'connector.unhealthy' // A health check came back degraded or failed (see health.js)
+}
+
+// Retries after the first attempt, doubling from RETRY_DELAY_MS
+const MAX_RETRIES = 3
+const RETRY_DELAY_MS = 1000
+const TIMEOUT_MS = 10000
+
+// Deliveries kept for GET /webhooks
+const MAX_DELIVERIES = 50
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * HMAC-SHA256 of a request body, as sent in X-Webhook-Signature ("sha256=<hex>")
+ * Receivers recompute it over the raw body with the webhook secret
+ */
+export function signPayload(body, secret) {
+    return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`
+}
+
+/**
+ * Outgoing webhooks: JSON POSTs of job and chapter events, signed and retried
+ * Webhooks are persisted in webhooks.json (WEBHOOKS_PATH overrides it), kept out of
+ * settings.json since they carry secrets. WEBHOOK_URL / WEBHOOK_SECRET add one for every event.
+ */
+export class Webhooks {
+    constructor(filePath = WEBHOOKS_PATH, { retryDelay = RETRY_DELAY_MS } = {}) {
+        this.filePath = filePath
+        this.retryDelay = retryDelay
+        this.hooks = []
+        this.deliveries = []
+        this.pending = new Set()
+    }
+
+    /**
+     * Load webhooks from file
+     */
+    async load() {
+        try {
+            this.hooks = JSON.parse(await fs.readFile(this.filePath, 'utf8')).webhooks || []
+            log.info('Webhooks loaded', { webhooks: this.hooks.length })
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                log.error('Failed to load webhooks', error)
+                throw error
+            }
+        }
+
+        if (process.env.WEBHOOK_URL && !this.hooks.some(hook => hook.url === process.env.WEBHOOK_URL)) {
+            this.hooks.push({
+                id: 'env',
+                url: process.env.WEBHOOK_URL,
+                events: [],
+                secret: process.env.WEBHOOK_SECRET || null,
+                persisted: false
+            })
+        }
+    }
+
+    /**
+     * Save webhooks to file (atomic), the WEBHOOK_URL one excluded
+     */
+    async save() {
+        const tmpPath = `${this.filePath}.tmp`
+        const webhooks = this.hooks.filter(hook => hook.persisted !== false)
+
+        await fs.mkdir(dirname(this.filePath), { recursive: true })
+        await fs.writeFile(tmpPath, JSON.stringify({ webhooks }, null, 2), 'utf8')
+        await fs.rename(tmpPath, this.filePath)
+    }
+
+    /**
+     * Webhooks without their secrets
+     */
+    list() {
+        return this.hooks.map(({ secret, ...hook }) => ({ ...hook, signed: !!secret }))
+    }
+
+    /**
+     * Add a webhook
+     * @param {Object} hook
+     * @param {string} hook.url - Receiver, http(s)
+     * @param {Array<string>|string} hook.events - WebhookEvent values, empty for every event
+     * @param {string} hook.secret - HMAC key (optional)
+     * @throws {Error} On bad urls or unknown events
+     */
+    async add({ url, events = [], secret = null }) {
+        let parsed
+        try {
+            parsed = new URL(url)
+        } catch {
+            throw new Error(`Invalid webhook url: ${url}`)
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error(`Invalid webhook url: ${url}. Must be http or https`)
+        }
+
+        const list = (Array.isArray(events) ? events : String(events).split(',')).map(event => event.trim()).filter(Boolean)
+        const unknown = list.filter(event => !Object.values(WebhookEvent).includes(event))
+        if (unknown.length) {
+            throw new Error(`Invalid events: ${unknown.join(', ')}. Valid: ${Object.values(WebhookEvent).join(', ')}`)
+        }
+
+        const hook = {
+            id: createHash('sha1').update(`${url}\n${Date.now()}`).digest('hex').slice(0, 12),
+            url,
+            events: list,
+            secret: secret || null,
+            createdAt: new Date().toISOString()
+        }
+        this.hooks.push(hook)
+        await this.save()
+
+        log.info('Webhook added', { id: hook.id, url, events: list.length ? list : 'all' })
+        const { secret: _, ...rest } = hook
+        return { ...rest, signed: !!secret }
+    }
+
+    /**
+     * Remove a webhook
+     * @returns {Promise<boolean>} Whether it was there
+     */
+    async remove(id) {
+        const index = this.hooks.findIndex(hook => hook.id === id)
+        if (index < 0) return false
+
+        this.hooks.splice(index, 1)
+        await this.save()
+        return true
+    }
+
+    /**
+     * Send an event to every webhook listening for it, in the background
+     * @param {string} event - WebhookEvent value
+     * @param {Object} data - Event payload
+     * @returns {Promise<Array>} Deliveries, once every attempt is done
+     */
+    emit(event, data = {}) {
+        const hooks = this.hooks.filter(hook => !hook.events?.length || hook.events.includes(event))
+        if (!hooks.length) return Promise.resolve([])
+
+        const payload = { id: randomUUID(), event, timestamp: new Date().toISOString(), data }
+        const body = JSON.stringify(payload)
+
+        const sending = Promise.all(hooks.map(hook => this.deliver(hook, payload.id, event, body)))
+        this.pending.add(sending)
+        sending.finally(() => this.pending.delete(sending))
+        return sending
+    }
+
+    /**
+     * Send an event to a single webhook (POST /webhooks/:id/test)
+     * @throws {Error} On unknown webhooks
+     */
+    async send(id, event, data = {}) {
+        const hook = this.hooks.find(hook => hook.id === id)
+        if (!hook) throw new Error(`Webhook not found: ${id}`)
+
+        const payload = { id: randomUUID(), event, timestamp: new Date().toISOString(), data }
+        return await this.deliver(hook, payload.id, event, JSON.stringify(payload))
+    }
+
+    /**
+     * POST a body, retrying network errors, timeouts, 429 and 5xx
+     * @returns {Promise<Object>} Delivery: { id, webhook, event, status, attempts, ok, error }
+     */
+    async deliver(hook, deliveryId, event, body) {
+        const headers = {
+            'content-type': 'application/json',
+            'user-agent': 'micioparser-webhooks',
+            'x-webhook-event': event,
+            'x-webhook-delivery': deliveryId,
+            ...(hook.secret && { 'x-webhook-signature': signPayload(body, hook.secret) })
+        }
+
+        const delivery = { id: deliveryId, webhook: hook.id, event, status: null, attempts: 0, ok: false, error: null }
+
+        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+            if (attempt) await sleep(this.retryDelay * 2 ** (attempt - 1))
+            delivery.attempts++
+
+            try {
+                const response = await fetch(hook.url, {
+                    method: 'POST',
+                    headers,
+                    body,
+                    signal: AbortSignal.timeout(TIMEOUT_MS)
+                })
+                delivery.status = response.status
+                delivery.ok = response.ok
+                delivery.error = response.ok ? null : `HTTP ${response.status}`
+
+                if (response.ok || (response.status < 500 && response.status !== 429)) break
+            } catch (error) {
+                delivery.error = error.message
+            }
+        }
+
+        delivery.at = new Date().toISOString()
+        this.deliveries = [delivery, ...this.deliveries].slice(0, MAX_DELIVERIES)
+
+        if (delivery.ok) {
+            log.debug('Webhook delivered', { webhook: hook.id, event, attempts: delivery.attempts })
+        } else {
+            log.warn('Webhook delivery failed', { webhook: hook.id, event, attempts: delivery.attempts, error: delivery.error })
+        }
+
+        return delivery
+    }
+
+    /**
+     * onItem handler sending process() items as events
+     * Chapter results become chapter.downloaded, book results book.downloaded; failed results (error)
+     * and other items are ignored, failures are counted by job.finished
+     * @param {Object} context - Added to every payload (e.g. { url, series })
+     * @param {Function} next - onItem to call as well (e.g. the SSE queue)
+     */
+    fromItems(context = {}, next = null) {
+        return (item) => {
+            next?.(item)
+
+            const data = item?.event === 'message' ? item.data : null
+            if ((data?.result || data?.book)?.error) return
+
+            if (data?.result && data.chapterIndex !== undefined) {
+                this.emit(WebhookEvent.CHAPTER_DOWNLOADED, { ...context, chapterIndex: data.chapterIndex, result: data.result })
+            } else if (data?.book) {
+                this.emit(WebhookEvent.BOOK_DOWNLOADED, { ...context, result: data.book })
+            }
+        }
+    }
+
+    /**
+     * Wait for deliveries in flight (shutdown)
+     */
+    async flush() {
+        await Promise.allSettled([...this.pending])
+    }
+}
+
+// Singleton instance
+let webhooksInstance = null
+
+/**
+ * Get or create webhooks instance
+ * @returns {Promise<Webhooks>}
+ */
+export async function getWebhooks() {
+    if (!webhooksInstance) {
+        webhooksInstance = new Webhooks()
+        await webhooksInstance.load()
+    }
+    return webhooksInstance
+}
+
+export default Webhooks
@@ -219,6 +219,7 @@ export class WorkerPool {
         }
         this.workers = []
         this.running = false
+        this.pending = new Map() // connector -> tasks submitted and not settled yet
     }
 
     /**
@@ -263,10 +264,23 @@ export class WorkerPool {
             throw new Error('Worker pool not started')
         }
 
+        this.pending.set(task.connector, (this.pending.get(task.connector) || 0) + 1)
+        const settle = () => {
+            const count = this.pending.get(task.connector) - 1
+            if (count) this.pending.set(task.connector, count)
+            else this.pending.delete(task.connector)
+        }
+
         return new Promise((resolve, reject) => {
             // Attach promise handlers to task
-            task.resolve = resolve
-            task.reject = reject
+            task.resolve = (result) => {
+                settle()
+                resolve(result)
+            }
+            task.reject = (error) => {
+                settle()
+                reject(error)
+            }
 
             // Enqueue task
             this.taskQueue.enqueue(task)
@@ -279,6 +293,13 @@ export class WorkerPool {
         })
     }
 
+    /**
+     * Whether a connector has tasks queued or running
+     */
+    hasTasks(connector) {
+        return this.pending.has(connector)
+    }
+
     /**
      * Submit multiple tasks and wait for all
      */
@@ -398,6 +419,47 @@ export class TaskFactory {
         }
     }
 
+    /**
+     * Create details task (detail page read, with the chapter list for series)
+     */
+    static details(connector, url, options = {}) {
+        return {
+            type: 'details',
+            connector,
+            url,
+            requiresNavigation: true,
+            execute: options.execute,
+            ...options
+        }
+    }
+
+    /**
+     * Create enrich task (metadata-only connector lookup for a book)
+     */
+    static enrich(connector, book, options = {}) {
+        return {
+            type: 'enrich',
+            connector,
+            book,
+            requiresNavigation: true,
+            execute: options.execute,
+            ...options
+        }
+    }
+
+    /**
+     * Create health check task (canary run holding the connector's page throughout)
+     */
+    static healthCheck(connector, options = {}) {
+        return {
+            type: 'health_check',
+            connector,
+            requiresNavigation: true,
+            execute: options.execute,
+            ...options
+        }
+    }
+
     /**
      * Create chapter scrape task
      */
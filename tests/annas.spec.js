@@ -0,0 +1,88 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import connectorFn from '../src/connector/annas.js';
+import { BookFile } from '../src/models/book.js';
+import { detectFileFormat } from '../src/downloader.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'annas');
+const MD5 = '0123456789abcdef0123456789abcdef';
+
+// Local copy of the site: search, one record, a mirror page and the file behind it
+const ROUTES = [
+  [/^\/search/, 'search.html', 'text/html'],
+  [/^\/md5\//, 'md5.html', 'text/html'],
+  [/^\/slow_download\//, 'slow_download.html', 'text/html'],
+  [/^\/files\/.+\.epub$/, 'book.epub', 'application/epub+zip'],
+];
+
+let server;
+let endpoint;
+
+test.beforeAll(async () => {
+  server = createServer(async (req, res) => {
+    const route = ROUTES.find(([pattern]) => pattern.test(req.url || ''));
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': route[2] }).end(await readFile(join(FIXTURES, route[1])));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const connect = (page) => connectorFn({ page, name: 'annas', endpoint });
+
+test('search lists records with their file', async ({ page }) => {
+  const connector = connect(page);
+  await page.goto(connector.getSearchUrl('alice').render());
+
+  const results = await connector.getSearchResults();
+
+  expect(results).toHaveLength(2);
+  expect(results[0]).toMatchObject({
+    content_type: 'book',
+    title: "Alice's Adventures in Wonderland",
+    link: `${endpoint}/md5/${MD5}`,
+    author: 'Lewis Carroll',
+    language: 'en',
+  });
+  expect(results[0].files[0]).toMatchObject({ format: 'epub', md5: MD5 });
+  expect(results[1].files[0]).toMatchObject({ format: 'pdf', language: 'it' });
+});
+
+test('detail page fields and files', async ({ page }) => {
+  const connector = connect(page);
+  await page.goto(`${endpoint}/md5/${MD5}`);
+
+  expect(await connector.getEntryField('title')).toBe("Alice's Adventures in Wonderland");
+  expect(await connector.getEntryField('publisher')).toBe('Macmillan');
+  expect(await connector.getEntryField('edition')).toBe('1st edition');
+  expect(await connector.getEntryField('year')).toBe('1865');
+  expect(await connector.getEntryField('isbn')).toEqual(['9780141439761']);
+
+  const files = await connector.getFiles();
+  expect(files).toHaveLength(2);
+  expect(files[0]).toBeInstanceOf(BookFile);
+  expect(files[0]).toMatchObject({ format: 'epub', size: 419430, language: 'en', md5: MD5 });
+});
+
+test('mirror page resolves to the file', async ({ page }) => {
+  const connector = connect(page);
+  await page.goto(`${endpoint}/md5/${MD5}`);
+  const [mirror] = await connector.getFiles();
+
+  const url = await connector.getDownloadUrl(mirror);
+  expect(url).toBe(`${endpoint}/files/${MD5}.epub`);
+
+  const response = await page.request.get(url);
+  expect(detectFileFormat(await response.body())).toBe('epub');
+});
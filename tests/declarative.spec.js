@@ -0,0 +1,169 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createServer } from 'http';
+import { readFile } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import {
+  createDeclarativeConnector,
+  validateDefinition,
+  readField,
+  PaginationStrategy,
+} from '../src/declarative.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'declarative');
+
+// Local copy of the example site: search, a series page and a three page reader
+const ROUTES = [
+  [/^\/search/, 'search.html', 'text/html'],
+  [/^\/manga\//, 'manga.html', 'text/html'],
+  [/^\/read\//, 'reader.html', 'text/html'],
+];
+const IMAGE = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>';
+
+let server;
+let endpoint;
+let example;
+
+test.beforeAll(async () => {
+  server = createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname.startsWith('/img/')) {
+      res.writeHead(200, { 'content-type': 'image/svg+xml' }).end(IMAGE);
+      return;
+    }
+
+    const route = ROUTES.find(([pattern]) => pattern.test(url.pathname));
+    if (!route || parseInt(url.searchParams.get('page') || '1') > 3) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': route[2] }).end(await readFile(join(FIXTURES, route[1])));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+  example = YAML.parse(await readFile(join(FIXTURES, 'connector.yaml'), 'utf8'));
+});
+
+test.afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+// The example definition against the local site, with some of it replaced
+const connect = (page, overrides = {}) =>
+  createDeclarativeConnector({ ...example, endpoint, ...overrides })({ page, name: example.name });
+
+const withPagination = (pagination) => ({ pages: { ...example.pages, pagination } });
+
+test.describe('validateDefinition', () => {
+  test('accepts the example definition', () => {
+    expect(validateDefinition(example)).toBe(example);
+  });
+
+  test('reports every problem at once', () => {
+    const definition = {
+      endpoint: 'manga.example.org',
+      search: { url: '{endpoint}/search', fields: { title: { selector: 'a', transform: 'shout' } } },
+      chapters: { fields: { number: 'span' }, order: 'sideways' },
+    };
+
+    let message = '';
+    try {
+      validateDefinition(definition);
+    } catch (error) {
+      message = error.message;
+    }
+
+    for (const problem of [
+      'name is required',
+      'endpoint must be an http(s) url',
+      'search.url must contain {title}',
+      'search.results selector is required',
+      'search.fields.title has unknown transforms: shout',
+      'search.fields needs title and link',
+      'chapters.chapter selector is required',
+      'chapters.fields needs link',
+      'chapters.order must be asc or desc',
+    ]) {
+      expect(message).toContain(problem);
+    }
+  });
+
+  test('checks pagination options per strategy', () => {
+    const invalid = (pagination, pages = example.pages) =>
+      () => validateDefinition({ ...example, pages: { ...pages, pagination } });
+
+    expect(invalid({ strategy: 'scroll' })).toThrow('pages.pagination.strategy must be one of');
+    expect(invalid({ strategy: PaginationStrategy.CLICK })).toThrow('pages.pagination.selector is required for click');
+    expect(invalid({ strategy: PaginationStrategy.URL })).toThrow('pages.pagination needs arg or file for url');
+    expect(invalid({ strategy: PaginationStrategy.KEYBOARD })).toThrow('pages.pagination.key is required for keyboard');
+
+    // Without a count nothing would end a keyboard paginated chapter
+    const { count, ...uncounted } = example.pages;
+    expect(invalid({ strategy: PaginationStrategy.KEYBOARD, key: 'ArrowRight' }, uncounted))
+      .toThrow('pages.count is required for keyboard');
+  });
+});
+
+test('readField applies selectors, regex and transforms', async ({ page }) => {
+  await page.goto(`${endpoint}/manga/one-piece`);
+  const context = { base: page.url() };
+
+  expect(await readField(page, 'h1')).toBe('One Piece');
+  expect(await readField(page, { selector: '.genre', all: true })).toEqual(['Avventura', 'Azione']);
+  expect(await readField(page, { selector: '.meta > div', index: 2, child: 'span', transform: 'int' })).toBe(1997);
+  expect(await readField(page, { selector: 'a.chap span', regex: '(\\d+)' })).toBe('3');
+  expect(await readField(page, { selector: 'img.cover', attribute: 'src', transform: ['url', 'banner'] }, context))
+    .toEqual({ full_size: `${endpoint}/covers/one-piece.jpg` });
+  expect(await readField(page, { value: 'fixed' })).toBe('fixed');
+  expect(await readField(page, '.missing')).toBeNull();
+});
+
+test('search, details and chapters follow the definition', async ({ page }) => {
+  const connector = connect(page);
+
+  await page.goto(connector.getSearchUrl('one piece').render());
+  const results = await connector.getSearchResults();
+  expect(results).toEqual([
+    { title: 'One Piece', link: `${endpoint}/manga/one-piece`, views: 1234 },
+    { title: 'One Piece Party', link: `${endpoint}/manga/one-piece-party`, views: 56 },
+  ]);
+  expect(await connector.getPages()).toBe(3);
+
+  await page.goto(results[0].link);
+  expect(await connector.getEntryField('author')).toBe('Eiichiro Oda');
+  expect(await connector.getEntryField('genres')).toEqual(['Avventura', 'Azione']);
+
+  const [volume] = await connector.getAllChapterLinks();
+  expect(volume.chapters.map(chapter => chapter.number)).toEqual([1, 2, 3]);
+  expect(volume.chapters[0].url.render()).toBe(`${endpoint}/read/one-piece/1`);
+});
+
+// Every strategy walks the same three pages and stops on the last one
+for (const [strategy, pagination] of [
+  [PaginationStrategy.SELECT, { strategy: PaginationStrategy.SELECT, selector: '.page-select' }],
+  [PaginationStrategy.CLICK, { strategy: PaginationStrategy.CLICK, selector: 'button.next' }],
+  [PaginationStrategy.URL, { strategy: PaginationStrategy.URL, arg: 'page' }],
+]) {
+  test(`${strategy} pagination reads every page`, async ({ page }) => {
+    const connector = connect(page, withPagination(pagination));
+    await page.goto(`${endpoint}/read/one-piece/1`);
+
+    const srcs = [(await connector.getPage()).src];
+    while (await connector.getNextPage()) {
+      srcs.push((await connector.getPage()).src);
+    }
+
+    expect(srcs).toEqual([1, 2, 3].map(n => `${endpoint}/img/${n}.svg`));
+  });
+}
+
+test('keyboard pagination moves by key press, the count ends the chapter', async ({ page }) => {
+  const connector = connect(page, withPagination({ strategy: PaginationStrategy.KEYBOARD, key: 'ArrowRight' }));
+  await page.goto(`${endpoint}/read/one-piece/1`);
+
+  expect(await connector.getPageCount()).toBe(3);
+  expect(await connector.getNextPage()).toBe(true);
+  expect((await connector.getPage()).src).toBe(`${endpoint}/img/2.svg`);
+});
@@ -0,0 +1,89 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createServer } from 'http';
+import { readFile, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { Driver } from '../src/driver.js';
+import { ImageDownloader } from '../src/downloader.js';
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures', 'annas');
+const MD5 = '0123456789abcdef0123456789abcdef';
+
+const ROUTES = [
+  [/^\/search/, 'search.html', 'text/html'],
+  [/^\/md5\//, 'md5.html', 'text/html'],
+];
+
+// Records a search and a detail page against a local copy of the site,
+// then replays them with the site gone
+test.describe.configure({ mode: 'serial' });
+
+let server;
+let dir;
+let endpoint;
+
+test.beforeAll(async () => {
+  server = createServer(async (req, res) => {
+    const route = ROUTES.find(([pattern]) => pattern.test(req.url || ''));
+    if (!route) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': route[2] }).end(await readFile(join(FIXTURES, route[1])));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+  dir = await mkdtemp(join(tmpdir(), 'sessions-'));
+});
+
+test.afterAll(async () => {
+  if (server.listening) await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+// What the regression check compares: search results and detail fields
+const browse = async (session) => {
+  const driver = new Driver('annas', 'chromium', { session: { ...session, dir }, endpoint });
+  await driver.build();
+  try {
+    const connector = driver.getConnector();
+
+    await connector.page.goto(connector.getSearchUrl('alice').render());
+    const results = await connector.getSearchResults();
+
+    await connector.page.goto(`${endpoint}/md5/${MD5}`);
+    const title = await connector.getEntryField('title');
+    const files = (await connector.getFiles()).map(file => file.toJSON());
+
+    return { results, title, files };
+  } finally {
+    await driver.close();
+  }
+};
+
+test('replays a recorded session without the network', async () => {
+  const recorded = await browse({ mode: 'record', name: 'alice' });
+  expect(recorded.results).toHaveLength(2);
+
+  await new Promise(resolve => server.close(resolve));
+
+  expect(await browse({ mode: 'replay', name: 'alice' })).toEqual(recorded);
+});
+
+test('refuses downloads the archive cannot serve', async () => {
+  const driver = new Driver('annas', 'chromium', { session: { mode: 'replay', name: 'alice', dir }, endpoint });
+  await driver.build();
+  try {
+    const downloader = new ImageDownloader(null, { retries: 0 });
+    await expect(downloader.fetch(driver.getConnector(), `${endpoint}/covers/alice.jpg`))
+      .rejects.toThrow('while replaying a session');
+  } finally {
+    await driver.close();
+  }
+});
+
+test('refuses to replay a session that was never recorded', async () => {
+  await expect(browse({ mode: 'replay', name: 'missing' })).rejects.toThrow('Session not found');
+});
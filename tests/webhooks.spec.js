@@ -0,0 +1,115 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Webhooks, WebhookEvent } from '../src/webhooks.js';
+
+const SECRET = 'shh';
+
+// Local receiver: records requests, answers with the next queued status (200 once empty)
+let server;
+let url;
+let received;
+let statuses;
+let dir;
+
+test.beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+  dir = await mkdtemp(join(tmpdir(), 'webhooks-'));
+});
+
+test.afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(dir, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  received = [];
+  statuses = [];
+});
+
+const create = () => new Webhooks(join(dir, `${Date.now()}.json`), { retryDelay: 10 });
+
+test('posts signed JSON for the events a webhook listens to', async () => {
+  const webhooks = create();
+  await webhooks.add({ url, events: [WebhookEvent.JOB_FINISHED], secret: SECRET });
+
+  expect(await webhooks.emit(WebhookEvent.JOB_FAILED, {})).toEqual([]);
+  const [delivery] = await webhooks.emit(WebhookEvent.JOB_FINISHED, { url: 'https://example.org/manga/1', chapters: 2 });
+
+  expect(delivery).toMatchObject({ ok: true, status: 200, attempts: 1 });
+  expect(received).toHaveLength(1);
+
+  const { headers, body } = received[0];
+  expect(headers['x-webhook-event']).toBe(WebhookEvent.JOB_FINISHED);
+  expect(headers['x-webhook-signature']).toBe(`sha256=${createHmac('sha256', SECRET).update(body).digest('hex')}`);
+  expect(JSON.parse(body)).toMatchObject({ event: WebhookEvent.JOB_FINISHED, data: { chapters: 2 } });
+});
+
+test('retries server errors, not client errors', async () => {
+  const webhooks = create();
+  await webhooks.add({ url });
+
+  statuses = [503, 500];
+  const [retried] = await webhooks.emit(WebhookEvent.JOB_FINISHED, {});
+  expect(retried).toMatchObject({ ok: true, attempts: 3 });
+
+  statuses = [404];
+  const [rejected] = await webhooks.emit(WebhookEvent.JOB_FINISHED, {});
+  expect(rejected).toMatchObject({ ok: false, status: 404, attempts: 1 });
+});
+
+test('turns process() items into download events', async () => {
+  const webhooks = create();
+  await webhooks.add({ url });
+
+  const forwarded = [];
+  const onItem = webhooks.fromItems({ url: 'https://example.org/manga/1' }, item => forwarded.push(item));
+
+  onItem({ event: 'message', data: { chapterIndex: 3, result: { chapterUrl: 'https://example.org/read/3', pages: [] } } });
+  onItem({ event: 'message', data: { export: { format: 'cbz' } } });
+  await webhooks.flush();
+
+  expect(forwarded).toHaveLength(2);
+  expect(received.map(({ body }) => JSON.parse(body))).toEqual([
+    expect.objectContaining({
+      event: WebhookEvent.CHAPTER_DOWNLOADED,
+      data: expect.objectContaining({ url: 'https://example.org/manga/1', chapterIndex: 3 }),
+    }),
+  ]);
+});
+
+test('leaves failed items to the job counts', async () => {
+  const webhooks = create();
+  await webhooks.add({ url });
+
+  const onItem = webhooks.fromItems({ url: 'https://example.org/manga/1' }, () => {});
+  onItem({ event: 'message', data: { chapterIndex: 4, result: { chapterUrl: 'https://example.org/read/4', error: 'Timeout' } } });
+  onItem({ event: 'message', data: { book: { url: 'https://example.org/book/1', error: 'Not found' } } });
+  await webhooks.flush();
+
+  expect(received).toEqual([]);
+});
+
+test('keeps webhooks across restarts', async () => {
+  const webhooks = create();
+  const { id } = await webhooks.add({ url, events: 'chapter.new,job.failed', secret: SECRET });
+
+  const reloaded = new Webhooks(webhooks.filePath);
+  await reloaded.load();
+  expect(reloaded.list()).toEqual([expect.objectContaining({ id, events: ['chapter.new', 'job.failed'], signed: true })]);
+
+  await expect(reloaded.add({ url, events: 'chapter.gone' })).rejects.toThrow('Invalid events');
+});